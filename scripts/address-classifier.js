@@ -0,0 +1,73 @@
+import { join } from "path"
+import { DATA_DIR, readList } from "./list-loader.js"
+
+const DEFAULT_ROLE_ACCOUNTS_FILE = join(DATA_DIR, "role-accounts.txt")
+const DEFAULT_FREE_PROVIDERS_FILE = join(DATA_DIR, "free-providers.txt")
+
+/**
+ * Classifies addresses as role mailboxes and/or free consumer providers
+ */
+class AddressClassifier {
+  constructor(options = {}) {
+    this.roleAccountsFile = options.roleAccountsFile || DEFAULT_ROLE_ACCOUNTS_FILE
+    this.freeProvidersFile = options.freeProvidersFile || DEFAULT_FREE_PROVIDERS_FILE
+    this.extraRoleAccounts = options.roleAccounts || []
+    this.extraFreeProviders = options.freeProviders || []
+    this.reload()
+  }
+
+  /**
+   * (Re)load the role and free provider lists from disk, keeping extra entries
+   */
+  reload() {
+    this.roleAccounts = new Set([
+      ...readList(this.roleAccountsFile),
+      ...this.extraRoleAccounts.map((role) => role.toLowerCase()),
+    ])
+    this.freeProviders = new Set([
+      ...readList(this.freeProvidersFile),
+      ...this.extraFreeProviders.map((domain) => domain.toLowerCase()),
+    ])
+  }
+
+  /**
+   * Add entries at runtime
+   */
+  extend({ roleAccounts = [], freeProviders = [] } = {}) {
+    roleAccounts.forEach((role) => this.roleAccounts.add(role.toLowerCase()))
+    freeProviders.forEach((domain) => this.freeProviders.add(domain.toLowerCase()))
+  }
+
+  /**
+   * Check whether a local part names a role mailbox (admin, support, noreply...)
+   */
+  isRole(localPart) {
+    if (!localPart) {
+      return false
+    }
+    // Sub-addressing does not change the mailbox: support+billing@ is still support@
+    const mailbox = localPart.toLowerCase().replace(/^"|"$/g, "").split("+")[0]
+    return this.roleAccounts.has(mailbox)
+  }
+
+  /**
+   * Check whether a domain belongs to a free consumer email provider
+   */
+  isFreeProvider(domain) {
+    return Boolean(domain) && this.freeProviders.has(domain.toLowerCase())
+  }
+}
+
+let defaultClassifier = null
+
+/**
+ * Get the classifier for the bundled lists, loaded once per process
+ */
+function getDefaultAddressClassifier() {
+  if (!defaultClassifier) {
+    defaultClassifier = new AddressClassifier()
+  }
+  return defaultClassifier
+}
+
+export { AddressClassifier, getDefaultAddressClassifier }
@@ -0,0 +1,188 @@
+import net from "net"
+import { domainToASCII } from "url"
+
+const MAX_ADDRESS_LENGTH = 254 // RFC 5321 path limit of 256 minus the angle brackets
+const MAX_LOCAL_PART_LENGTH = 64
+const MAX_DOMAIN_LENGTH = 253
+const MAX_LABEL_LENGTH = 63
+
+// RFC 5322 atext
+const ATEXT = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]$/
+// Printable ASCII allowed in a quoted-string without escaping (no DQUOTE or backslash)
+const QTEXT = /^[\x20\x21\x23-\x5b\x5d-\x7e]$/
+const LABEL = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/
+
+/**
+ * Build a failed parse result
+ */
+function failure(rule, reason) {
+  return { valid: false, rule, reason }
+}
+
+/**
+ * Check a local part, either dot-atom or quoted-string (RFC 5322 §3.4.1).
+ * Non-ASCII characters are accepted as RFC 6531 UTF-8 text.
+ */
+function checkLocalPart(localPart) {
+  if (!localPart) {
+    return failure("local_part_empty", "Local part before @ is empty")
+  }
+
+  if (Buffer.byteLength(localPart, "utf8") > MAX_LOCAL_PART_LENGTH) {
+    return failure("local_part_too_long", `Local part exceeds ${MAX_LOCAL_PART_LENGTH} octets`)
+  }
+
+  if (localPart.startsWith('"')) {
+    if (localPart.length < 2 || !localPart.endsWith('"')) {
+      return failure("quoted_local_part_unterminated", "Quoted local part is missing its closing quote")
+    }
+
+    const content = localPart.slice(1, -1)
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i]
+      if (char === "\\") {
+        const escaped = content[i + 1]
+        if (escaped === undefined || !/^[\x20-\x7e]$/.test(escaped)) {
+          return failure("quoted_local_part_invalid_escape", "Quoted local part has an invalid backslash escape")
+        }
+        i++
+      } else if (!QTEXT.test(char) && char.charCodeAt(0) < 0x80) {
+        return failure(
+          "quoted_local_part_invalid_character",
+          `Quoted local part contains invalid character ${JSON.stringify(char)}`,
+        )
+      }
+    }
+    return null
+  }
+
+  if (localPart.startsWith(".") || localPart.endsWith(".") || localPart.includes("..")) {
+    return failure("local_part_dot_position", "Local part cannot start or end with a dot or contain consecutive dots")
+  }
+
+  for (const char of localPart) {
+    if (char !== "." && !ATEXT.test(char) && char.charCodeAt(0) < 0x80) {
+      return failure("local_part_invalid_character", `Local part contains invalid character ${JSON.stringify(char)}`)
+    }
+  }
+
+  return null
+}
+
+/**
+ * Check an address literal such as [192.0.2.1] or [IPv6:2001:db8::1]
+ */
+function parseDomainLiteral(domain) {
+  const literal = domain.slice(1, -1)
+  const ip = literal.toLowerCase().startsWith("ipv6:") ? literal.slice(5) : literal
+  const expected = literal === ip ? 4 : 6
+
+  if (net.isIP(ip) !== expected) {
+    return failure("domain_literal_invalid", `Domain literal ${domain} is not a valid IPv${expected} address`)
+  }
+
+  return { domain, asciiDomain: domain, domainLiteral: ip }
+}
+
+/**
+ * Check a domain name and convert it to its ASCII (punycode) form for DNS
+ */
+function parseDomain(domain) {
+  if (!domain) {
+    return failure("domain_empty", "Domain after @ is empty")
+  }
+
+  if (domain.startsWith("[") && domain.endsWith("]")) {
+    return parseDomainLiteral(domain)
+  }
+
+  const labels = domain.split(".")
+  if (labels.some((label) => label === "")) {
+    return failure("domain_empty_label", "Domain cannot start or end with a dot or contain consecutive dots")
+  }
+
+  if (labels.length < 2) {
+    return failure("domain_missing_tld", "Domain must contain at least one dot")
+  }
+
+  if (/^\d+$/.test(labels[labels.length - 1])) {
+    return failure("domain_numeric_tld", "Top-level domain cannot be all numeric")
+  }
+
+  const asciiDomain = domainToASCII(domain)
+  if (!asciiDomain) {
+    return failure("domain_invalid_idn", `Domain ${domain} is not a valid internationalized domain name`)
+  }
+
+  if (asciiDomain.length > MAX_DOMAIN_LENGTH) {
+    return failure("domain_too_long", `Domain exceeds ${MAX_DOMAIN_LENGTH} characters`)
+  }
+
+  for (const label of asciiDomain.split(".")) {
+    if (label.length > MAX_LABEL_LENGTH) {
+      return failure("domain_label_too_long", `Domain label "${label}" exceeds ${MAX_LABEL_LENGTH} characters`)
+    }
+    if (label.startsWith("-") || label.endsWith("-")) {
+      return failure("domain_label_hyphen", `Domain label "${label}" cannot start or end with a hyphen`)
+    }
+    if (!LABEL.test(label)) {
+      return failure("domain_invalid_character", `Domain label "${label}" contains invalid characters`)
+    }
+  }
+
+  return { domain, asciiDomain, domainLiteral: null }
+}
+
+/**
+ * Parse an email address following RFC 5321/5322 syntax, with RFC 6531 UTF-8
+ * local parts and IDNA domains
+ * @param {string} email - Address to parse
+ * @returns {Object} { valid: true, localPart, domain, asciiDomain, domainLiteral, address, requiresSmtpUtf8 }
+ *   or { valid: false, rule, reason } naming the rule that failed
+ */
+function parseAddress(email) {
+  if (typeof email !== "string" || email.length === 0) {
+    return failure("empty", "Email address is empty")
+  }
+
+  if (/\s/.test(email.replace(/"(?:[^"\\]|\\.)*"/g, ""))) {
+    return failure("whitespace", "Email address contains unquoted whitespace")
+  }
+
+  // The local part may itself contain a quoted "@", so split on the last one
+  const at = email.lastIndexOf("@")
+  if (at === -1) {
+    return failure("missing_at", "Email address is missing the @ separator")
+  }
+
+  const localPart = email.slice(0, at)
+  const domainPart = email.slice(at + 1)
+
+  const localError = checkLocalPart(localPart)
+  if (localError) {
+    return localError
+  }
+
+  const domain = parseDomain(domainPart)
+  if (!domain.asciiDomain) {
+    return domain
+  }
+
+  const address = `${localPart}@${domain.asciiDomain}`
+  if (Buffer.byteLength(address, "utf8") > MAX_ADDRESS_LENGTH) {
+    return failure("address_too_long", `Email address exceeds ${MAX_ADDRESS_LENGTH} octets`)
+  }
+
+  return {
+    valid: true,
+    localPart,
+    domain: domain.domain,
+    asciiDomain: domain.asciiDomain,
+    domainLiteral: domain.domainLiteral,
+    address,
+    // Only the local part forces SMTPUTF8; the domain can travel as an A-label
+    requiresSmtpUtf8: /[^\x00-\x7f]/.test(localPart),
+  }
+}
+
+export { parseAddress }
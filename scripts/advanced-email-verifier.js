@@ -1,113 +1,177 @@
 import { EmailVerifier } from "./email-verifier.js"
-import fs from "fs/promises"
+import { parseAddress } from "./address-parser.js"
+import { RateScheduler } from "./rate-scheduler.js"
+import { MemoryCacheStore, FileCacheStore, DEFAULT_CACHE_TTLS } from "./result-cache.js"
+import { readCsvRecords, uniqueHeaders, findColumn } from "./csv.js"
+import { exportResults } from "./exporter.js"
 
 class AdvancedEmailVerifier extends EmailVerifier {
   constructor(options = {}) {
     super(options)
-    this.cache = new Map()
-    this.cacheExpiry = options.cacheExpiry || 3600000 // 1 hour
-    this.rateLimiter = new Map()
-    this.maxRequestsPerDomain = options.maxRequestsPerDomain || 10
-    this.rateLimitWindow = options.rateLimitWindow || 60000 // 1 minute
+    this.cache = options.cacheStore || this.createCacheStore(options)
+    this.cacheExpiry = options.cacheExpiry || 3600000 // 1 hour, for statuses without their own TTL
+    this.cacheTtls = { ...DEFAULT_CACHE_TTLS, ...options.cacheTtls }
+    this.scheduler = options.scheduler || new RateScheduler(options)
+  }
+
+  /**
+   * Pick the cache backend: a shared file when cacheFile is set, otherwise in-process memory
+   */
+  createCacheStore(options) {
+    if (options.cacheFile) {
+      return new FileCacheStore({ filePath: options.cacheFile })
+    }
+    return new MemoryCacheStore()
   }
 
   /**
    * Verify email with caching and rate limiting
+   * @param {string} email - Email to verify
+   * @param {Object} [options] - bypassCache skips the cache lookup (the fresh result is still stored)
    */
-  async verifyEmailAdvanced(email) {
+  async verifyEmailAdvanced(email, options = {}) {
     // Check cache first
-    const cached = this.getFromCache(email)
+    const cached = options.bypassCache ? null : await this.getFromCache(email)
     if (cached) {
-      this.log(`Cache hit for ${email}`)
+      this.logger.debug("Cache hit", { email, step: "cache" })
       return { ...cached, fromCache: true }
     }
 
-    // Check rate limiting
-    const domain = email.split("@")[1]
-    if (!this.checkRateLimit(domain)) {
-      return {
-        email,
-        isValid: false,
-        status: "rate_limited",
-        message: "Rate limit exceeded for domain",
-      }
-    }
-
-    // Perform verification
+    // Perform verification (waits for a rate limit slot once the MX host is known)
     const result = await this.verifyEmail(email)
 
     // Cache the result
-    this.addToCache(email, result)
+    await this.addToCache(email, result)
 
     return result
   }
 
   /**
-   * Get result from cache if not expired
+   * Verify many emails with caching and rate limiting, sharing SMTP sessions
+   * between uncached addresses on the same MX host
+   * @param {string[]} emails - Emails to verify
+   * @param {Object} [options] - Passed to verifyMultiple (concurrency, delay)
+   * @returns {Promise<Object[]>} Results in the same order as emails
    */
-  getFromCache(email) {
-    const cached = this.cache.get(email)
-    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
-      return cached.result
+  async verifyMultipleAdvanced(emails, options = {}) {
+    const results = new Array(emails.length)
+    const pending = []
+
+    for (const [index, email] of emails.entries()) {
+      const cached = await this.getFromCache(email)
+      if (cached) {
+        this.logger.debug("Cache hit", { email, step: "cache" })
+        results[index] = { ...cached, fromCache: true }
+        continue
+      }
+
+      pending.push({ email, index })
     }
-    if (cached) {
-      this.cache.delete(email)
+
+    const verified = await this.verifyMultiple(
+      pending.map(({ email }) => email),
+      options,
+    )
+
+    for (const [j, { email, index }] of pending.entries()) {
+      await this.addToCache(email, verified[j])
+      results[index] = verified[j]
     }
-    return null
+
+    return results
   }
 
   /**
-   * Add result to cache
+   * Get result from cache if not expired
    */
-  addToCache(email, result) {
-    this.cache.set(email, {
-      result,
-      timestamp: Date.now(),
-    })
+  async getFromCache(email) {
+    return this.cache.get(email)
   }
 
   /**
-   * Check if domain is within rate limits
+   * Add result to cache for as long as its status stays trustworthy
    */
-  checkRateLimit(domain) {
-    const now = Date.now()
-    const domainRequests = this.rateLimiter.get(domain) || []
+  async addToCache(email, result) {
+    const ttl = this.getCacheTtl(result.status)
+    if (ttl > 0) {
+      // A transcript belongs to the session that produced it, not to later lookups
+      const { fromCache, transcript, ...stored } = result
+      await this.cache.set(email, stored, ttl)
+    }
+  }
 
-    // Remove old requests outside the window
-    const validRequests = domainRequests.filter((timestamp) => now - timestamp < this.rateLimitWindow)
+  /**
+   * How long a result with this status may be served from cache, in ms
+   */
+  getCacheTtl(status) {
+    return this.cacheTtls[status] ?? this.cacheExpiry
+  }
 
-    if (validRequests.length >= this.maxRequestsPerDomain) {
-      return false
+  /**
+   * Write buffered cache entries to the backing store
+   */
+  async flushCache() {
+    await this.cache.flush()
+  }
+
+  /**
+   * Wait for the provider's rate limit before opening the SMTP session. A retry
+   * without TLS repeats a session that was already counted, so it does not wait again.
+   */
+  async verifyRecipientsWithMxRecord(emails, mxHost, options = {}) {
+    if (options.tlsFallback) {
+      const provider = this.scheduler.getKey(mxHost)
+      const results = await super.verifyRecipientsWithMxRecord(emails, mxHost, options)
+      return results.map((result) => ({ ...result, provider }))
     }
 
-    // Add current request
-    validRequests.push(now)
-    this.rateLimiter.set(domain, validRequests)
+    const provider = await this.scheduler.acquire(mxHost, this.countRecipientCommands(emails))
+    try {
+      const results = await super.verifyRecipientsWithMxRecord(emails, mxHost, options)
+      return results.map((result) => ({ ...result, provider }))
+    } finally {
+      this.scheduler.complete(provider, emails.length)
+    }
+  }
 
-    return true
+  /**
+   * RCPT commands a session may send: one per recipient, plus a catch-all probe
+   * for each domain whose verdict is not known yet
+   */
+  countRecipientCommands(emails) {
+    if (!this.detectCatchAll) {
+      return emails.length
+    }
+    const unprobed = new Set(
+      emails
+        .map((email) => parseAddress(email).asciiDomain)
+        .filter((domain) => domain && this.catchAllDomains.get(domain) === undefined),
+    )
+    return emails.length + unprobed.size
   }
 
   /**
    * Verify emails from CSV file
+   * @param {string} filePath - CSV file
+   * @param {Object} [options] - hasHeader, emailColumn (header name or 0-based index), delimiter, encoding,
+   *   concurrency, delay
    */
   async verifyFromCsv(filePath, options = {}) {
     try {
-      const content = await fs.readFile(filePath, "utf-8")
-      const lines = content.split("\n").filter((line) => line.trim())
+      const rows = []
+      for await (const row of readCsvRecords(filePath, options)) {
+        rows.push(row)
+      }
 
       // Skip header if present
-      const startIndex = options.hasHeader ? 1 : 0
-      const emailColumn = options.emailColumn || 0
+      const headers = options.hasHeader ? uniqueHeaders(rows.shift() || []) : []
+      const emailColumn = options.hasHeader
+        ? findColumn(headers, options.emailColumn)
+        : Number(options.emailColumn || 0)
 
-      const emails = lines
-        .slice(startIndex)
-        .map((line) => {
-          const columns = line.split(",")
-          return columns[emailColumn]?.trim().replace(/"/g, "")
-        })
-        .filter((email) => email)
+      const emails = rows.map((row) => row[emailColumn]?.trim()).filter((email) => email)
 
-      console.log(`Found ${emails.length} emails to verify`)
+      this.logger.info(`Found ${emails.length} emails to verify`, { file: filePath })
 
       const results = await this.verifyMultiple(emails, {
         concurrency: options.concurrency || 3,
@@ -123,23 +187,20 @@ class AdvancedEmailVerifier extends EmailVerifier {
   /**
    * Export results to CSV
    */
-  async exportToCsv(results, outputPath) {
-    const headers = ["Email", "IsValid", "Status", "Message", "SMTPResponse"]
-    const csvContent = [
-      headers.join(","),
-      ...results.map((result) =>
-        [
-          `"${result.email}"`,
-          result.isValid,
-          `"${result.status}"`,
-          `"${result.message}"`,
-          `"${result.smtpResponse || ""}"`,
-        ].join(","),
-      ),
-    ].join("\n")
-
-    await fs.writeFile(outputPath, csvContent, "utf-8")
-    console.log(`Results exported to ${outputPath}`)
+  async exportToCsv(results, outputPath, options = {}) {
+    await this.exportResults(results, outputPath, { ...options, format: "csv" })
+  }
+
+  /**
+   * Export results as csv, tsv, ndjson or html (see exporter.js)
+   * @param {Object[]} results
+   * @param {string} outputPath
+   * @param {Object} [options] - format, fields, delimiter, encoding; html also takes a report
+   */
+  async exportResults(results, outputPath, options = {}) {
+    const report = options.format === "html" ? options.report || this.generateReport(results) : undefined
+    await exportResults(results, outputPath, { ...options, report })
+    this.logger.info(`Results exported to ${outputPath}`, { format: options.format || "csv" })
   }
 
   /**
@@ -147,16 +208,26 @@ class AdvancedEmailVerifier extends EmailVerifier {
    */
   generateReport(results) {
     const total = results.length
-    const valid = results.filter((r) => r.isValid).length
-    const invalid = results.filter((r) => !r.isValid && !["error", "rate_limited"].includes(r.status)).length
-    const errors = results.filter((r) => ["error", "rate_limited"].includes(r.status)).length
+    const valid = results.filter((r) => r.isValid === true).length
+    const errorStatuses = ["error", "dns_error", "dns_timeout"]
+    const invalid = results.filter((r) => !r.isValid && !errorStatuses.includes(r.status)).length
+    const errors = results.filter((r) => errorStatuses.includes(r.status)).length
     const temporary = results.filter((r) => r.status === "temporary_failure").length
+    const catchAll = results.filter((r) => r.status === "catch_all").length
+    const disposable = results.filter((r) => r.isDisposable).length
 
     const statusCounts = {}
+    const tierCounts = { deliverable: 0, risky: 0, undeliverable: 0, unknown: 0 }
     results.forEach((result) => {
       statusCounts[result.status] = (statusCounts[result.status] || 0) + 1
+      if (result.tier) {
+        tierCounts[result.tier] = (tierCounts[result.tier] || 0) + 1
+      }
     })
 
+    const scored = results.filter((r) => typeof r.score === "number")
+    const averageScore = scored.length > 0 ? scored.reduce((sum, r) => sum + r.score, 0) / scored.length : null
+
     return {
       summary: {
         total,
@@ -164,10 +235,15 @@ class AdvancedEmailVerifier extends EmailVerifier {
         invalid,
         errors,
         temporary,
-        validPercentage: ((valid / total) * 100).toFixed(2),
-        invalidPercentage: ((invalid / total) * 100).toFixed(2),
+        catchAll,
+        disposable,
+        validPercentage: total > 0 ? ((valid / total) * 100).toFixed(2) : "0.00",
+        invalidPercentage: total > 0 ? ((invalid / total) * 100).toFixed(2) : "0.00",
+        averageScore: averageScore === null ? null : averageScore.toFixed(1),
       },
       statusBreakdown: statusCounts,
+      tierBreakdown: tierCounts,
+      providerThroughput: this.scheduler.getThroughput(),
       recommendations: this.generateRecommendations(results),
     }
   }
@@ -188,13 +264,56 @@ class AdvancedEmailVerifier extends EmailVerifier {
       recommendations.push("High temporary failure rate. Consider retrying these emails later.")
     }
 
-    const rateLimitedCount = results.filter((r) => r.status === "rate_limited").length
-    if (rateLimitedCount > 0) {
+    Object.entries(this.scheduler.getThroughput())
+      .filter(([, stats]) => stats.waitMs > 30000)
+      .forEach(([provider, stats]) => {
+        recommendations.push(
+          `${provider} work waited ${Math.round(stats.waitMs / 1000)}s for rate limit slots. ` +
+            `Raise its limit with --provider-limit if the provider tolerates more.`,
+        )
+      })
+
+    const dnsFailureCount = results.filter((r) => ["dns_error", "dns_timeout"].includes(r.status)).length
+    if (dnsFailureCount > 0) {
+      recommendations.push(
+        `${dnsFailureCount} emails hit DNS errors or timeouts. Retry them later or check your DNS resolver.`,
+      )
+    }
+
+    const blockedCount = results.filter((r) => r.status === "blocked").length
+    if (blockedCount > 0) {
+      recommendations.push(
+        `${blockedCount} emails could not be checked because mail servers blocked the verifier. ` +
+          `Check your IP against public blocklists and your HELO hostname and reverse DNS, or verify from another IP.`,
+      )
+    }
+
+    const nullMxCount = results.filter((r) => r.status === "null_mx").length
+    if (nullMxCount > 0) {
       recommendations.push(
-        `${rateLimitedCount} emails were rate limited. Consider reducing concurrency or increasing delays.`,
+        `${nullMxCount} emails are on domains that publish a null MX and accept no mail. Remove them.`,
       )
     }
 
+    const catchAllCount = results.filter((r) => r.status === "catch_all").length
+    if (catchAllCount > 0) {
+      recommendations.push(
+        `${catchAllCount} emails are on catch-all domains. Their existence cannot be confirmed, treat them as risky.`,
+      )
+    }
+
+    const disposableCount = results.filter((r) => r.isDisposable).length
+    if (disposableCount > 0) {
+      recommendations.push(
+        `${disposableCount} emails use disposable providers. Consider rejecting them with --reject-disposable.`,
+      )
+    }
+
+    const suggestionCount = results.filter((r) => r.suggestion).length
+    if (suggestionCount > 0) {
+      recommendations.push(`${suggestionCount} emails look like domain typos. Review the suggested corrections.`)
+    }
+
     const invalidFormatCount = results.filter((r) => r.status === "invalid_format").length
     if (invalidFormatCount > 0) {
       recommendations.push(`${invalidFormatCount} emails have invalid format. Consider data cleaning.`)
@@ -206,10 +325,10 @@ class AdvancedEmailVerifier extends EmailVerifier {
   /**
    * Clear cache and rate limiting data
    */
-  clearCache() {
-    this.cache.clear()
-    this.rateLimiter.clear()
-    console.log("Cache and rate limiting data cleared")
+  async clearCache() {
+    await this.cache.clear()
+    this.scheduler.reset()
+    this.logger.info("Cache and rate limiting data cleared")
   }
 }
 
@@ -245,13 +364,14 @@ async function demonstrateAdvancedFeatures() {
     "test3@gmail.com",
     "test4@gmail.com",
     "test5@gmail.com",
-    "test6@gmail.com", // This should be rate limited
+    "test6@gmail.com", // These wait for the google bucket to refill
   ]
 
   for (const email of gmailEmails) {
     const result = await verifier.verifyEmailAdvanced(email)
-    console.log(`${email}: ${result.status}`)
+    console.log(`${email}: ${result.status} via ${result.provider}`)
   }
+  console.log("Provider throughput:", verifier.scheduler.getThroughput())
 
   // Generate and display report
   console.log("\n--- Generating Report ---")
@@ -262,7 +382,7 @@ async function demonstrateAdvancedFeatures() {
   console.log(JSON.stringify(report, null, 2))
 
   // Clear cache
-  verifier.clearCache()
+  await verifier.clearCache()
 }
 
 // Export for use in other modules
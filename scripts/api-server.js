@@ -0,0 +1,476 @@
+import http from "http"
+import crypto from "crypto"
+import { AdvancedEmailVerifier } from "./advanced-email-verifier.js"
+import { BulkEmailProcessor } from "./bulk-email-processor.js"
+import { JobCheckpoint, DEFAULT_JOBS_DIR } from "./job-checkpoint.js"
+import { TokenBucket } from "./rate-scheduler.js"
+import { loggerFor } from "./logger.js"
+
+const DEFAULT_SERVER_OPTIONS = {
+  host: "127.0.0.1",
+  port: 3000,
+  clientLimit: { requests: 60, window: 60000 }, // API requests per client
+  maxBodyBytes: 5 * 1024 * 1024,
+  maxJobEmails: 10000,
+  maxConcurrentJobs: 2,
+  jobRetention: 60 * 60 * 1000, // finished jobs stay in memory this long, then are read back from disk
+  cacheFlushInterval: 30000,
+}
+
+// Longest address worth looking at; parseAddress does the real validation
+const MAX_EMAIL_LENGTH = 320
+
+const JOB_ID_PATTERN = /^\d{8}-\d{6}-[0-9a-f]{6}$/
+
+/**
+ * Error carrying the HTTP status it should be answered with
+ */
+function httpError(status, message, headers = {}) {
+  return Object.assign(new Error(message), { status, headers })
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest()
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body)
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+    ...headers,
+  })
+  res.end(payload)
+}
+
+/**
+ * Read and parse a JSON request body, refusing bodies over maxBytes
+ */
+async function readJsonBody(req, maxBytes) {
+  const chunks = []
+  let size = 0
+
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > maxBytes) {
+      throw httpError(413, `Request body exceeds ${maxBytes} bytes`)
+    }
+    chunks.push(chunk)
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8") || "null")
+  } catch {
+    throw httpError(400, "Request body must be valid JSON")
+  }
+}
+
+function validateEmail(value, field) {
+  if (typeof value !== "string" || value.trim() === "") {
+    throw httpError(400, `${field} must be a non-empty string`)
+  }
+  if (value.length > MAX_EMAIL_LENGTH) {
+    throw httpError(400, `${field} is longer than ${MAX_EMAIL_LENGTH} characters`)
+  }
+  return value.trim()
+}
+
+/**
+ * Read the webhook of a job request: a URL, or { url, secret }
+ * @returns {Object|null} { url, secret }
+ */
+function parseJobWebhook(value) {
+  if (value === undefined || value === null) {
+    return null
+  }
+  const webhook = typeof value === "string" ? { url: value } : value
+  if (typeof webhook !== "object" || typeof webhook.url !== "string") {
+    throw httpError(400, 'webhook must be a URL or { "url": ..., "secret": ... }')
+  }
+  if (webhook.secret !== undefined && (typeof webhook.secret !== "string" || webhook.secret === "")) {
+    throw httpError(400, "webhook.secret must be a non-empty string")
+  }
+
+  let url
+  try {
+    url = new URL(webhook.url)
+  } catch {
+    throw httpError(400, "webhook.url is not a valid URL")
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw httpError(400, "webhook.url must be http or https")
+  }
+  return { url: url.href, secret: webhook.secret }
+}
+
+/**
+ * HTTP API over AdvancedEmailVerifier and BulkEmailProcessor. All requests and
+ * jobs go through one verifier, so they share its result cache and SMTP rate
+ * scheduler the way a CLI run does.
+ *
+ *   GET  /health        Liveness and job counts (no API key needed)
+ *   POST /verify        { email, bypassCache? } -> result
+ *   POST /jobs          { emails: [...], webhook? } -> 202 { id, status, ... }
+ *   GET  /jobs/:id      Progress; results and report once completed (?offset=&limit=)
+ */
+class ApiServer {
+  /**
+   * @param {Object} [options] - Verifier and bulk options plus host, port, apiKeys, clientLimit,
+   *   maxBodyBytes, maxJobEmails, maxConcurrentJobs, jobRetention, jobsDir, and webhookUrl/webhookSecret
+   *   as the default webhook of jobs that do not name one
+   */
+  constructor(options = {}) {
+    const given = Object.entries(options).filter(([, value]) => value !== undefined && value !== null)
+    this.options = { ...DEFAULT_SERVER_OPTIONS, ...Object.fromEntries(given) }
+    this.logger = loggerFor("ApiServer", options)
+    this.verifier = options.verifier || new AdvancedEmailVerifier(options)
+    // Reports of jobs read back from disk; it never runs a job, so it gets no workers or webhook
+    this.reportProcessor = new BulkEmailProcessor({ verifier: this.verifier, logger: this.logger })
+    this.jobsDir = options.jobsDir || DEFAULT_JOBS_DIR
+
+    // Keys are compared by hash so lookups take the same time whatever the input
+    this.apiKeys = (options.apiKeys || []).filter(Boolean).map(hashKey)
+    this.clientBuckets = new Map() // client id -> TokenBucket
+    this.bucketsSweptAt = Date.now()
+
+    this.jobs = new Map() // job id -> job
+    this.queue = [] // jobs waiting for a slot
+    this.running = 0
+    this.startedAt = Date.now()
+    this.server = http.createServer((req, res) => this.handle(req, res))
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} { host, port } actually bound (port 0 picks a free one)
+   */
+  async start() {
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject)
+      this.server.listen(this.options.port, this.options.host, resolve)
+    })
+
+    this.flushTimer = setInterval(() => {
+      this.verifier.flushCache().catch((error) => this.logger.error("Failed to write cache", { error }))
+    }, this.options.cacheFlushInterval)
+    this.flushTimer.unref()
+
+    const { address, port } = this.server.address()
+    return { host: address, port }
+  }
+
+  /**
+   * Stop accepting requests, stop running jobs after their current batch and
+   * write the cache. Unfinished jobs keep their checkpoint.
+   */
+  async close() {
+    clearInterval(this.flushTimer)
+    this.queue = []
+    const closed = new Promise((resolve) => this.server.close(resolve))
+    this.server.closeIdleConnections?.()
+
+    const running = [...this.jobs.values()].filter((job) => job.status === "running")
+    running.forEach((job) => job.processor.stop())
+    await Promise.all(running.map((job) => job.done))
+
+    await this.verifier.flushCache().catch((error) => this.logger.error("Failed to write cache", { error }))
+    await closed
+  }
+
+  async handle(req, res) {
+    const startedAt = Date.now()
+    res.on("finish", () => {
+      this.logger.debug(`${req.method} ${req.url}`, { status: res.statusCode, ms: Date.now() - startedAt })
+    })
+
+    try {
+      const url = new URL(req.url, "http://localhost")
+      const route = `${req.method} ${url.pathname.replace(/\/+$/, "") || "/"}`
+
+      if (route === "GET /health") {
+        return sendJson(res, 200, this.health())
+      }
+
+      const client = this.authenticate(req)
+      this.checkClientLimit(client)
+
+      if (route === "POST /verify") {
+        return sendJson(res, 200, await this.verify(await readJsonBody(req, this.options.maxBodyBytes)))
+      }
+      if (route === "POST /jobs") {
+        const job = await this.createJob(await readJsonBody(req, this.options.maxBodyBytes), client)
+        const created = this.describeJob(job)
+        if (job.generatedSecret) {
+          created.webhookSecret = job.generatedSecret // only ever shown here
+        }
+        return sendJson(res, 202, created, { Location: `/jobs/${job.id}` })
+      }
+
+      const jobMatch = /^GET \/jobs\/([^/]+)$/.exec(route)
+      if (jobMatch) {
+        return sendJson(res, 200, await this.getJob(jobMatch[1], client, url.searchParams))
+      }
+
+      if (["/verify", "/jobs", "/health"].includes(url.pathname) || url.pathname.startsWith("/jobs/")) {
+        throw httpError(405, `Method ${req.method} not allowed on ${url.pathname}`)
+      }
+      throw httpError(404, `No route for ${req.method} ${url.pathname}`)
+    } catch (error) {
+      if (!error.status) {
+        this.logger.error(`API error on ${req.method} ${req.url}`, { error })
+      }
+      const message = error.status ? error.message : "Internal server error"
+      sendJson(res, error.status || 500, { error: message }, error.headers)
+    }
+  }
+
+  /**
+   * Identify the caller by API key, or by address when no keys are configured
+   * @returns {Object} { id, owner } where owner marks the jobs the client may read
+   */
+  authenticate(req) {
+    if (this.apiKeys.length === 0) {
+      return { id: `ip:${req.socket.remoteAddress}`, owner: null }
+    }
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "")
+    const key = req.headers["x-api-key"] || bearer?.[1]
+    if (!key) {
+      throw httpError(401, "API key required (X-API-Key or Authorization: Bearer)", {
+        "WWW-Authenticate": "Bearer",
+      })
+    }
+
+    const hash = hashKey(key)
+    if (!this.apiKeys.some((known) => crypto.timingSafeEqual(known, hash))) {
+      throw httpError(401, "Invalid API key", { "WWW-Authenticate": "Bearer" })
+    }
+
+    const owner = hash.toString("hex").slice(0, 16)
+    return { id: `key:${owner}`, owner }
+  }
+
+  /**
+   * Per-client request budget; over it the client gets a 429 with Retry-After
+   */
+  checkClientLimit(client) {
+    this.sweepClientBuckets()
+    if (!this.clientBuckets.has(client.id)) {
+      this.clientBuckets.set(client.id, new TokenBucket(this.options.clientLimit))
+    }
+
+    const waitMs = this.clientBuckets.get(client.id).tryTake()
+    if (waitMs > 0) {
+      throw httpError(429, "Rate limit exceeded, slow down", { "Retry-After": String(Math.ceil(waitMs / 1000)) })
+    }
+  }
+
+  /**
+   * Once a window, forget clients whose bucket has refilled: a full bucket is the
+   * same as a new one, so only clients seen recently are kept in memory
+   */
+  sweepClientBuckets(now = Date.now()) {
+    if (now - this.bucketsSweptAt < this.options.clientLimit.window) {
+      return
+    }
+    this.bucketsSweptAt = now
+    for (const [id, bucket] of this.clientBuckets) {
+      bucket.refill()
+      if (bucket.tokens >= bucket.capacity) {
+        this.clientBuckets.delete(id)
+      }
+    }
+  }
+
+  health() {
+    const jobs = { queued: 0, running: 0, completed: 0, failed: 0, interrupted: 0 }
+    this.jobs.forEach((job) => jobs[job.status]++)
+    return { status: "ok", uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000), jobs }
+  }
+
+  async verify(body) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw httpError(400, 'Expected a JSON object: { "email": "user@example.com" }')
+    }
+    const email = validateEmail(body.email, "email")
+    if (body.bypassCache !== undefined && typeof body.bypassCache !== "boolean") {
+      throw httpError(400, "bypassCache must be a boolean")
+    }
+
+    return this.verifier.verifyEmailAdvanced(email, { bypassCache: body.bypassCache })
+  }
+
+  /**
+   * Validate a job request, checkpoint it and queue it
+   */
+  async createJob(body, client) {
+    if (!body || !Array.isArray(body.emails)) {
+      throw httpError(400, 'Expected a JSON object: { "emails": ["user@example.com", ...] }')
+    }
+    if (body.emails.length === 0) {
+      throw httpError(400, "emails must not be empty")
+    }
+    if (body.emails.length > this.options.maxJobEmails) {
+      throw httpError(413, `A job takes at most ${this.options.maxJobEmails} emails`)
+    }
+    const emails = body.emails.map((email, index) => validateEmail(email, `emails[${index}]`))
+
+    // Events are always signed: with the job's secret, the server's, or a fresh one returned to the client
+    let webhook = parseJobWebhook(body.webhook) || parseJobWebhook(this.options.webhookUrl)
+    let generatedSecret = null
+    if (webhook && !webhook.secret) {
+      generatedSecret = this.options.webhookSecret ? null : crypto.randomBytes(24).toString("hex")
+      webhook = { ...webhook, secret: this.options.webhookSecret || generatedSecret }
+    }
+
+    const checkpoint = new JobCheckpoint({ jobsDir: this.jobsDir })
+    await checkpoint.start({ source: "api", owner: client.owner, total: emails.length })
+
+    const job = {
+      id: checkpoint.jobId,
+      owner: client.owner,
+      status: "queued",
+      total: emails.length,
+      emails,
+      webhook,
+      generatedSecret,
+      checkpoint,
+      processor: null,
+      results: null,
+      report: null,
+      error: null,
+      createdAt: checkpoint.meta.createdAt,
+      startedAt: null,
+      completedAt: null,
+    }
+    this.jobs.set(job.id, job)
+    this.queue.push(job)
+    this.logger.info("Job queued", { jobId: job.id, total: emails.length, webhook: Boolean(webhook) })
+    this.startQueuedJobs()
+    return job
+  }
+
+  startQueuedJobs() {
+    while (this.running < this.options.maxConcurrentJobs && this.queue.length > 0) {
+      const job = this.queue.shift()
+      this.running++
+      job.done = this.runJob(job).finally(() => {
+        this.running--
+        this.startQueuedJobs()
+      })
+    }
+  }
+
+  async runJob(job) {
+    job.status = "running"
+    job.startedAt = new Date().toISOString()
+    job.processor = new BulkEmailProcessor({
+      ...this.options,
+      verifier: this.verifier,
+      // Nothing would run a job's retry queue, so temporary failures are reported as final
+      deferRetries: false,
+      webhookUrl: job.webhook?.url,
+      webhookSecret: job.webhook?.secret,
+    })
+
+    try {
+      const results = await job.processor.processBulkEmails(job.emails, { checkpoint: job.checkpoint })
+      job.results = results
+      if (job.processor.interrupted) {
+        job.status = "interrupted"
+        this.logger.info("Job interrupted", { jobId: job.id, processed: results.length })
+      } else {
+        job.status = "completed"
+        job.report = job.processor.generateDetailedReport(results)
+        this.logger.info("Job completed", { jobId: job.id, total: results.length })
+      }
+    } catch (error) {
+      job.status = "failed"
+      job.error = error.message
+      this.logger.error("Job failed", { jobId: job.id, error })
+      job.processor.webhook?.notify("job.failed", { error: error.message })
+    } finally {
+      job.completedAt = new Date().toISOString()
+      job.emails = null
+      await job.processor.close()
+
+      // Finished jobs are read back from their checkpoint after the retention period
+      setTimeout(() => this.jobs.delete(job.id), this.options.jobRetention).unref()
+    }
+  }
+
+  /**
+   * Job status for GET /jobs/:id, from memory or else from its checkpoint on disk
+   */
+  async getJob(id, client, query) {
+    let job = this.jobs.get(id)
+    if (!job && JOB_ID_PATTERN.test(id)) {
+      job = await this.loadJob(id)
+    }
+    // Other clients' jobs are reported as missing, not forbidden
+    if (!job || (job.owner && job.owner !== client.owner)) {
+      throw httpError(404, `Job ${id} not found`)
+    }
+
+    const offset = Math.max(0, Number.parseInt(query.get("offset")) || 0)
+    const limit = Math.min(10000, Math.max(1, Number.parseInt(query.get("limit")) || 1000))
+    return this.describeJob(job, { offset, limit })
+  }
+
+  async loadJob(id) {
+    const checkpoint = new JobCheckpoint({ job: id, jobsDir: this.jobsDir })
+    try {
+      await checkpoint.load()
+    } catch {
+      return null
+    }
+    if (checkpoint.meta.source !== "api") {
+      return null
+    }
+
+    const results = [...checkpoint.completed.entries()].sort(([a], [b]) => a - b).map(([, result]) => result)
+    const completed = Boolean(checkpoint.meta.completedAt)
+    return {
+      id,
+      owner: checkpoint.meta.owner,
+      status: completed ? "completed" : "interrupted",
+      total: checkpoint.meta.total,
+      checkpoint,
+      results,
+      report: completed ? this.reportProcessor.generateDetailedReport(results) : null,
+      error: null,
+      createdAt: checkpoint.meta.createdAt,
+      startedAt: null,
+      completedAt: checkpoint.meta.completedAt || null,
+    }
+  }
+
+  describeJob(job, page = null) {
+    const processed = job.results ? job.results.length : job.checkpoint.completed.size
+    const description = {
+      id: job.id,
+      status: job.status,
+      total: job.total,
+      processed,
+      progress: Number(((processed / job.total) * 100).toFixed(1)),
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+    }
+
+    if (job.error) {
+      description.error = job.error
+    }
+    if (job.report) {
+      description.report = job.report
+    }
+    if (page && job.results) {
+      description.results = job.results.slice(page.offset, page.offset + page.limit)
+      description.offset = page.offset
+      description.nextOffset = page.offset + page.limit < job.results.length ? page.offset + page.limit : null
+    }
+    return description
+  }
+}
+
+export { ApiServer, DEFAULT_SERVER_OPTIONS }
@@ -1,144 +1,609 @@
 import { AdvancedEmailVerifier } from "./advanced-email-verifier.js"
+import { parseAddress } from "./address-parser.js"
+import { RetryQueue } from "./retry-queue.js"
+import { readCsvRecords, uniqueHeaders, findColumn } from "./csv.js"
+import { SegmentWriter, writeSegments, DEFAULT_SEGMENT_MAP } from "./segmenter.js"
+import { WebhookNotifier } from "./webhook-notifier.js"
+import { generateJobId } from "./job-checkpoint.js"
+import { WorkerPool } from "./worker-pool.js"
+import { ProgressReporter } from "./progress-reporter.js"
+import { loggerFor } from "./logger.js"
 import fs from "fs/promises"
+import { createReadStream } from "fs"
+import { EventEmitter } from "events"
+import { createInterface } from "readline"
 
 /**
- * Bulk email processor for handling large datasets
+ * Accept plain emails and { email, input } records alike
  */
-class BulkEmailProcessor {
+function toRecord(item) {
+  return typeof item === "string" ? { email: item } : item
+}
+
+/**
+ * Carry the input row (CSV passthrough columns) over to the result
+ */
+function withInput(result, record) {
+  return record.input ? { ...result, input: record.input } : result
+}
+
+/**
+ * Count results per status
+ */
+function countStatus(byStatus, result) {
+  byStatus[result.status] = (byStatus[result.status] || 0) + 1
+}
+
+/**
+ * Bulk email processor for handling large datasets. It reports through events
+ * instead of logging (see ProgressReporter for a console view):
+ *   batchStart { batch, totalBatches, size, processed, total }
+ *   result     { index, result }   index is the position in the input (running count when streaming)
+ *   retry      { email, attempt, reason, retryAt? }
+ *   progress   { processed, total, percent, rate, etaSeconds, byStatus, resumed }
+ *   done       { results?, summary?, processed, total, durationSeconds, interrupted, deferred }
+ *   error      { error, stage }   a batch or a save failed; processing carries on
+ */
+class BulkEmailProcessor extends EventEmitter {
   constructor(options = {}) {
-    this.verifier = new AdvancedEmailVerifier({
+    super()
+    this.logger = loggerFor("BulkEmailProcessor", options)
+    const verifierOptions = {
       timeout: options.timeout || 10000,
       debug: options.debug || false,
+      logger: options.logger,
       cacheExpiry: options.cacheExpiry || 3600000,
+      cacheFile: options.cacheFile,
+      cacheStore: options.cacheStore,
+      cacheTtls: options.cacheTtls,
       maxRequestsPerDomain: options.maxRequestsPerDomain || 5,
       rateLimitWindow: options.rateLimitWindow || 60000,
-    })
+      providerLimits: options.providerLimits,
+      scheduler: options.scheduler,
+      detectCatchAll: options.detectCatchAll,
+      tlsPolicy: options.tlsPolicy,
+      recipientsPerSession: options.recipientsPerSession,
+      smtpPort: options.smtpPort,
+      resolver: options.resolver,
+      nameservers: options.nameservers,
+      dnsTimeout: options.dnsTimeout,
+      dnsRetries: options.dnsRetries,
+      dnsCacheEntries: options.dnsCacheEntries,
+      rejectDisposable: options.rejectDisposable,
+      disposableDomainsFile: options.disposableDomainsFile,
+      roleAccounts: options.roleAccounts,
+      freeProviders: options.freeProviders,
+      scoreWeights: options.scoreWeights,
+      scoreThresholds: options.scoreThresholds,
+      captureTranscript: options.captureTranscript,
+    }
+
+    // A verifier passed in shares its cache and rate scheduler with whoever else uses it
+    this.verifier = options.verifier || new AdvancedEmailVerifier(verifierOptions)
 
     this.batchSize = options.batchSize || 100
     this.concurrency = options.concurrency || 3
     this.delay = options.delay || 2000
+
+    // Worker threads run the SMTP work; cache and rate limits stay here so they hold across workers
+    if (options.workers >= 1) {
+      const { cacheStore, scheduler, resolver, logger, ...workerOptions } = verifierOptions
+      this.pool = new WorkerPool({
+        workers: options.workers,
+        verifier: this.verifier,
+        workerOptions: { ...workerOptions, log: { level: this.logger.level, format: this.logger.format } },
+        concurrency: this.concurrency,
+        logger: this.logger,
+      })
+    } else {
+      this.pool = null
+    }
+
     this.retryAttempts = options.retryAttempts || 2
+
+    // 4xx results wait here for a later retry instead of being retried within seconds;
+    // deferRetries: false leaves them as they are for callers that never run the queue
+    this.deferRetries = options.deferRetries !== false
+    this.retryQueue =
+      options.retryQueue ||
+      new RetryQueue({
+        filePath: options.retryQueueFile,
+        delays: options.retryDelays,
+        resultsFile: options.retryResultsFile,
+        exportFile: options.retryExportFile,
+        exportOptions: options.retryExportOptions,
+      })
+
+    // Optional send/review/suppress split of the results: status -> segment overrides
+    this.segmentMap = options.segmentMap ? { ...DEFAULT_SEGMENT_MAP, ...options.segmentMap } : null
+
+    // Signed job events (started, progress, completed) for a webhook receiver
+    this.webhook = options.webhookUrl
+      ? new WebhookNotifier({
+          url: options.webhookUrl,
+          secret: options.webhookSecret,
+          progressInterval: options.webhookInterval,
+          logger: options.logger,
+        })
+      : null
+
+    this.stopRequested = false
+    this.interrupted = false
+    this.jobId = null // job of the current run, for log context
+  }
+
+  /**
+   * Release the worker threads, if any
+   */
+  async close() {
+    await this.pool?.close()
+  }
+
+  /**
+   * Ask a running processBulkEmails to stop after the current batch
+   */
+  stop() {
+    this.stopRequested = true
+  }
+
+  /**
+   * Emit an error event, or log it when nobody listens (an unheard "error" event would throw)
+   */
+  reportError(error, stage) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", { error, stage })
+    } else {
+      this.logger.error(`${stage} failed`, { jobId: this.jobId, error })
+    }
+  }
+
+  /**
+   * Verify emails and yield each result as its batch finishes, in input order
+   * @param {Array<string|Object>|AsyncIterable<string|Object>} emails - Array or async iterable (streamed)
+   * @param {Object} [options] - Passed to processBulkEmails
+   * @returns {AsyncGenerator<Object>} { index, result }
+   */
+  async *iterate(emails, options = {}) {
+    const queue = []
+    let wake = null
+    let finished = false
+    let failure = null
+
+    const onResult = (event) => {
+      queue.push(event)
+      wake?.()
+    }
+    this.on("result", onResult)
+
+    const run = Array.isArray(emails)
+      ? this.processBulkEmails(emails, options)
+      : this.processEmailStream(emails, { write: async () => {} })
+    run
+      .catch((error) => {
+        failure = error
+      })
+      .finally(() => {
+        finished = true
+        wake?.()
+      })
+
+    try {
+      while (true) {
+        if (queue.length > 0) {
+          yield queue.shift()
+        } else if (finished) {
+          break
+        } else {
+          await new Promise((resolve) => {
+            wake = resolve
+          })
+          wake = null
+        }
+      }
+      if (failure) {
+        throw failure
+      }
+    } finally {
+      this.off("result", onResult)
+      // A consumer that breaks out early ends the run after the current batch
+      if (!finished) {
+        this.stop()
+        await run.catch(() => {})
+      }
+    }
   }
 
   /**
    * Process emails in batches with progress tracking
+   * @param {Array<string|Object>} emails - Emails, or { email, input } records whose input row is kept on the result
+   * @param {Object} [options]
+   * @param {JobCheckpoint} [options.checkpoint] - Records each batch as it finishes; skips addresses it already holds
+   * @returns {Promise<Object[]>} Results in input order (only the finished ones if stopped early)
    */
   async processBulkEmails(emails, options = {}) {
     const startTime = Date.now()
     const totalEmails = emails.length
-    let processedCount = 0
-    let results = []
+    const { checkpoint } = options
+    const records = emails.map(toRecord)
+    const results = new Array(totalEmails)
+    this.stopRequested = false
+    this.interrupted = false
+
+    // Work left over from an earlier run of this job
+    const pending = []
+    records.forEach(({ email }, index) => {
+      if (checkpoint?.isCompleted(index, email)) {
+        results[index] = checkpoint.completed.get(index)
+      } else {
+        pending.push(index)
+      }
+    })
+    const resumedCount = totalEmails - pending.length
+    let processedCount = resumedCount
+    const byStatus = {}
+    for (const result of results) {
+      if (result) {
+        countStatus(byStatus, result)
+      }
+    }
 
-    console.log(`Starting bulk processing of ${totalEmails} emails`)
-    console.log(`Batch size: ${this.batchSize}, Concurrency: ${this.concurrency}`)
+    this.jobId = checkpoint?.jobId || this.webhook?.jobId || null
+    if (this.webhook) {
+      this.jobId ||= generateJobId()
+      this.webhook.jobId = this.jobId
+      this.webhook.notify("job.started", { total: totalEmails, resumed: resumedCount, pending: pending.length })
+    }
+    this.logger.debug("Bulk job started", { jobId: this.jobId, total: totalEmails, resumed: resumedCount })
+
+    const progressOf = () => {
+      const elapsed = (Date.now() - startTime) / 1000
+      const rate = elapsed > 0 ? (processedCount - resumedCount) / elapsed : 0
+      return {
+        processed: processedCount,
+        total: totalEmails,
+        percent: totalEmails > 0 ? Number(((processedCount / totalEmails) * 100).toFixed(1)) : 100,
+        rate: Number(rate.toFixed(2)),
+        etaSeconds: rate > 0 ? Math.round((totalEmails - processedCount) / rate) : null,
+        byStatus: { ...byStatus },
+        resumed: resumedCount,
+      }
+    }
+    this.emit("progress", progressOf())
 
     // Process in batches
-    for (let i = 0; i < emails.length; i += this.batchSize) {
-      const batch = emails.slice(i, i + this.batchSize)
+    for (let i = 0; i < pending.length; i += this.batchSize) {
+      if (this.stopRequested) {
+        this.interrupted = true
+        break
+      }
+
+      const indexes = pending.slice(i, i + this.batchSize)
+      const batch = indexes.map((index) => records[index].email)
       const batchNumber = Math.floor(i / this.batchSize) + 1
-      const totalBatches = Math.ceil(emails.length / this.batchSize)
+      const totalBatches = Math.ceil(pending.length / this.batchSize)
 
-      console.log(`\nProcessing batch ${batchNumber}/${totalBatches} (${batch.length} emails)`)
+      this.emit("batchStart", {
+        batch: batchNumber,
+        totalBatches,
+        size: batch.length,
+        processed: processedCount,
+        total: totalEmails,
+      })
 
+      let batchResults
       try {
-        const batchResults = await this.processBatch(batch)
-        results = results.concat(batchResults)
-        processedCount += batch.length
-
-        // Progress update
-        const progress = ((processedCount / totalEmails) * 100).toFixed(1)
-        const elapsed = (Date.now() - startTime) / 1000
-        const rate = processedCount / elapsed
-        const eta = (totalEmails - processedCount) / rate
-
-        console.log(`Progress: ${progress}% (${processedCount}/${totalEmails})`)
-        console.log(`Rate: ${rate.toFixed(2)} emails/sec, ETA: ${eta.toFixed(0)}s`)
-
-        // Save intermediate results
-        if (options.saveIntermediate && batchNumber % 5 === 0) {
-          await this.saveResults(results, `intermediate_results_batch_${batchNumber}.json`)
-        }
+        batchResults = await this.processBatch(batch)
       } catch (error) {
-        console.error(`Error processing batch ${batchNumber}:`, error.message)
+        this.reportError(error, `Batch ${batchNumber}`)
 
         // Add error results for failed batch
-        const errorResults = batch.map((email) => ({
+        batchResults = batch.map((email) => ({
           email,
           isValid: false,
           status: "batch_error",
           message: `Batch processing failed: ${error.message}`,
         }))
-        results = results.concat(errorResults)
       }
 
+      indexes.forEach((index, j) => {
+        results[index] = withInput(batchResults[j], records[index])
+        countStatus(byStatus, results[index])
+      })
+      processedCount += batch.length
+
+      // Persist results, cache and deferred retries after every batch so an interrupted run keeps them
+      if (checkpoint) {
+        await checkpoint.append(indexes.map((index) => ({ index, result: results[index] })))
+      }
+      await this.verifier.flushCache().catch((error) => this.reportError(error, "Writing the cache"))
+      await this.retryQueue.save().catch((error) => this.reportError(error, "Saving the retry queue"))
+
+      for (const index of indexes) {
+        this.emit("result", { index, result: results[index] })
+      }
+      const progress = progressOf()
+      this.emit("progress", progress)
+      this.webhook?.progress({
+        processed: progress.processed,
+        total: progress.total,
+        progress: progress.percent,
+        rate: progress.rate,
+        etaSeconds: progress.etaSeconds,
+      })
+
       // Delay between batches
-      if (i + this.batchSize < emails.length) {
-        console.log(`Waiting ${this.delay}ms before next batch...`)
+      if (i + this.batchSize < pending.length && !this.stopRequested) {
         await new Promise((resolve) => setTimeout(resolve, this.delay))
       }
     }
 
     const totalTime = (Date.now() - startTime) / 1000
-    console.log(`\nBulk processing completed in ${totalTime.toFixed(2)}s`)
-    console.log(`Average rate: ${(totalEmails / totalTime).toFixed(2)} emails/sec`)
+    const done = {
+      processed: processedCount,
+      total: totalEmails,
+      durationSeconds: Number(totalTime.toFixed(2)),
+      interrupted: this.interrupted,
+      deferred: this.retryQueue.size,
+    }
+    this.logger.debug("Bulk job finished", { jobId: this.jobId, ...done })
+
+    if (this.interrupted) {
+      const finished = results.filter(Boolean)
+      this.emit("done", { ...done, results: finished })
+      if (this.webhook) {
+        this.webhook.notify("job.interrupted", { processed: processedCount, total: totalEmails })
+        await this.webhook.flush()
+      }
+      return finished
+    }
+
+    if (checkpoint) {
+      await checkpoint.finish()
+    }
+
+    this.emit("done", { ...done, results })
+
+    if (this.webhook) {
+      this.webhook.notify("job.completed", {
+        total: totalEmails,
+        processed: processedCount,
+        durationSeconds: Number(totalTime.toFixed(2)),
+        deferred: this.retryQueue.size,
+        report: this.generateDetailedReport(results),
+      })
+      await this.webhook.flush()
+    }
 
     return results
   }
 
+  /**
+   * Verify emails from an async iterable batch by batch, handing each batch's
+   * results to the writer as it completes. Nothing is kept per address, so memory
+   * stays flat however long the input is.
+   * @param {AsyncIterable<string|Object>} emails - e.g. streamRecordsFromFile()
+   * @param {ResultStreamWriter|Object[]} writer - Receives each batch of results; pass an array for several
+   * @returns {Promise<Object>} Running totals: { total, byStatus, byTier, averageScore }
+   */
+  async processEmailStream(emails, writer) {
+    const startTime = Date.now()
+    const summary = { total: 0, byStatus: {}, byTier: {}, averageScore: null }
+    let scoreSum = 0
+    let scored = 0
+    let batch = []
+    let batchNumber = 0
+    this.stopRequested = false
+    this.interrupted = false
+
+    this.jobId = this.webhook?.jobId || null
+    if (this.webhook) {
+      this.jobId ||= generateJobId()
+      this.webhook.jobId = this.jobId
+      this.webhook.notify("job.started", { total: null })
+    }
+    this.logger.debug("Stream job started", { jobId: this.jobId })
+
+    const runBatch = async () => {
+      const batchEmails = batch.map(({ email }) => email)
+      batchNumber++
+      // The input length is unknown while streaming, so totals stay null
+      this.emit("batchStart", {
+        batch: batchNumber,
+        totalBatches: null,
+        size: batch.length,
+        processed: summary.total,
+        total: null,
+      })
+
+      const verified = await this.processBatch(batchEmails).catch((error) => {
+        this.reportError(error, `Batch ${batchNumber}`)
+        return batchEmails.map((email) => ({
+          email,
+          isValid: false,
+          status: "batch_error",
+          message: `Batch processing failed: ${error.message}`,
+        }))
+      })
+      const results = verified.map((result, j) => withInput(result, batch[j]))
+      batch = []
+
+      for (const output of [writer].flat()) {
+        await output.write(results)
+      }
+      for (const result of results) {
+        this.emit("result", { index: summary.total, result })
+        summary.total++
+        countStatus(summary.byStatus, result)
+        if (result.tier) {
+          summary.byTier[result.tier] = (summary.byTier[result.tier] || 0) + 1
+        }
+        if (typeof result.score === "number") {
+          scoreSum += result.score
+          scored++
+        }
+      }
+
+      await this.verifier.flushCache().catch((error) => this.reportError(error, "Writing the cache"))
+      await this.retryQueue.save().catch((error) => this.reportError(error, "Saving the retry queue"))
+
+      const rate = Number((summary.total / ((Date.now() - startTime) / 1000)).toFixed(2))
+      this.emit("progress", {
+        processed: summary.total,
+        total: null,
+        percent: null,
+        rate,
+        etaSeconds: null,
+        byStatus: { ...summary.byStatus },
+        resumed: 0,
+      })
+      this.webhook?.progress({ processed: summary.total, total: null, rate })
+    }
+
+    for await (const email of emails) {
+      batch.push(toRecord(email))
+      if (batch.length < this.batchSize) {
+        continue
+      }
+
+      await runBatch()
+      if (this.stopRequested) {
+        this.interrupted = true
+        break
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.delay))
+    }
+
+    if (batch.length > 0 && !this.interrupted) {
+      await runBatch()
+    }
+
+    summary.averageScore = scored > 0 ? (scoreSum / scored).toFixed(1) : null
+    const durationSeconds = Number(((Date.now() - startTime) / 1000).toFixed(2))
+    this.logger.debug("Stream job finished", { jobId: this.jobId, processed: summary.total, durationSeconds })
+
+    this.emit("done", {
+      summary,
+      processed: summary.total,
+      total: summary.total,
+      durationSeconds,
+      interrupted: this.interrupted,
+      deferred: this.retryQueue.size,
+    })
+
+    if (this.webhook) {
+      const event = this.interrupted ? "job.interrupted" : "job.completed"
+      this.webhook.notify(event, {
+        processed: summary.total,
+        durationSeconds,
+        deferred: this.retryQueue.size,
+        summary,
+      })
+      await this.webhook.flush()
+    }
+    return summary
+  }
+
   /**
    * Process a single batch of emails
    */
   async processBatch(emails) {
-    const results = []
+    // Addresses on the same MX host share one SMTP session
+    const firstPass = this.pool
+      ? await this.pool.verifyMultipleAdvanced(emails)
+      : await this.verifier.verifyMultipleAdvanced(emails, {
+          concurrency: this.concurrency,
+          delay: 500,
+        })
+
+    // Greylisting needs minutes, not seconds: defer temporary failures to the retry queue
+    if (!this.deferRetries) {
+      return firstPass
+    }
+    return firstPass.map((result) => (result.status === "temporary_failure" ? this.deferResult(result) : result))
+  }
 
-    // Process emails in smaller concurrent groups
-    for (let i = 0; i < emails.length; i += this.concurrency) {
-      const group = emails.slice(i, i + this.concurrency)
-      const promises = group.map((email) => this.verifyWithRetry(email))
+  /**
+   * Put a temporary failure in the retry queue and note when it will be retried
+   */
+  deferResult(result) {
+    const entry = this.retryQueue.defer(result)
+    if (!entry) {
+      return { ...result, message: `${result.message} (gave up after ${this.retryQueue.delays.length} retries)` }
+    }
+    this.emit("retry", {
+      email: result.email,
+      attempt: entry.retries + 1,
+      reason: entry.greylisted ? "greylisted" : result.status,
+      retryAt: entry.retryAt,
+    })
+    return { ...result, greylisted: entry.greylisted, retryAt: new Date(entry.retryAt).toISOString() }
+  }
 
-      const groupResults = await Promise.allSettled(promises)
+  /**
+   * Retry deferred addresses whose time has come
+   * @param {Object} [options] - wait: keep waiting until the queue is empty
+   * @returns {Promise<Object[]>} Latest result for every address retried
+   */
+  async processRetryQueue(options = {}) {
+    const results = new Map()
 
-      for (let j = 0; j < groupResults.length; j++) {
-        const result = groupResults[j]
-        if (result.status === "fulfilled") {
-          results.push(result.value)
-        } else {
-          results.push({
-            email: group[j],
-            isValid: false,
-            status: "error",
-            message: result.reason.message,
-          })
+    while (this.retryQueue.size > 0) {
+      const due = this.retryQueue.due()
+
+      if (due.length === 0) {
+        if (!options.wait) {
+          break
         }
+        const waitMs = this.retryQueue.nextRetryAt() - Date.now()
+        this.logger.info(`Waiting ${Math.ceil(waitMs / 1000)}s for the next deferred retry...`, {
+          step: "retry",
+          size: this.retryQueue.size,
+        })
+        await new Promise((resolve) => setTimeout(resolve, waitMs))
+        continue
       }
 
-      // Small delay between concurrent groups
-      if (i + this.concurrency < emails.length) {
-        await new Promise((resolve) => setTimeout(resolve, 500))
+      for (let i = 0; i < due.length; i += this.concurrency) {
+        const group = due.slice(i, i + this.concurrency)
+        const groupResults = await Promise.all(
+          group.map(async (entry) => {
+            try {
+              return await this.verifyWithRetry(entry.email)
+            } catch (error) {
+              return { email: entry.email, isValid: false, status: "error", message: error.message }
+            }
+          }),
+        )
+
+        for (const result of groupResults) {
+          if (result.status === "temporary_failure") {
+            results.set(result.email, this.deferResult(result))
+          } else {
+            this.retryQueue.remove(result.email)
+            results.set(result.email, result)
+          }
+        }
+        await this.retryQueue.save()
       }
     }
 
-    return results
+    await this.verifier.flushCache().catch((error) => this.reportError(error, "Writing the cache"))
+    await this.retryQueue.save()
+    return [...results.values()]
   }
 
   /**
-   * Verify email with retry logic
+   * Verify email, retrying quickly when verification itself throws
+   * @param {string} email - Email to verify
+   * @param {number} [attempt] - Current attempt number
    */
   async verifyWithRetry(email, attempt = 1) {
     try {
-      const result = await this.verifier.verifyEmailAdvanced(email)
-
-      // Retry on temporary failures
-      if (result.status === "temporary_failure" && attempt <= this.retryAttempts) {
-        console.log(`Retrying ${email} (attempt ${attempt + 1}/${this.retryAttempts + 1})`)
-        await new Promise((resolve) => setTimeout(resolve, 5000 * attempt)) // Exponential backoff
-        return this.verifyWithRetry(email, attempt + 1)
-      }
-
-      return result
+      // Retries must reach the server, not the cached temporary failure
+      return await this.verifier.verifyEmailAdvanced(email, { bypassCache: true })
     } catch (error) {
       if (attempt <= this.retryAttempts) {
-        console.log(`Retrying ${email} due to error (attempt ${attempt + 1}/${this.retryAttempts + 1})`)
+        this.emit("retry", { email, attempt: attempt + 1, reason: error.message })
         await new Promise((resolve) => setTimeout(resolve, 3000 * attempt))
         return this.verifyWithRetry(email, attempt + 1)
       }
@@ -152,20 +617,142 @@ class BulkEmailProcessor {
   async saveResults(results, filename) {
     try {
       await fs.writeFile(filename, JSON.stringify(results, null, 2))
-      console.log(`Results saved to ${filename}`)
+      this.logger.info(`Results saved to ${filename}`, { jobId: this.jobId })
     } catch (error) {
-      console.error(`Failed to save results: ${error.message}`)
+      this.logger.error("Failed to save results", { jobId: this.jobId, file: filename, error })
+    }
+  }
+
+  /**
+   * Split results into one export file per segment (send, review, suppress unless
+   * segmentMap says otherwise) and write a manifest with their counts and paths
+   * @param {Object[]} results
+   * @param {string} resultsFile - Results file the segment files are named after
+   * @param {Object} [options] - format, fields, delimiter, encoding
+   * @returns {Promise<Object>} { manifestFile, manifest }
+   */
+  async writeSegments(results, resultsFile, options = {}) {
+    return writeSegments(results, resultsFile, {
+      ...options,
+      map: this.segmentMap || DEFAULT_SEGMENT_MAP,
+      reportFor: (group) => this.generateDetailedReport(group),
+    })
+  }
+
+  /**
+   * Segment writer for processEmailStream (see writeSegments)
+   */
+  createSegmentWriter(resultsFile, options = {}) {
+    return new SegmentWriter(resultsFile, { ...options, map: this.segmentMap || DEFAULT_SEGMENT_MAP })
+  }
+
+  /**
+   * Read the data rows of a CSV file as { email, input } records, input being the
+   * whole row keyed by header so it can be written back out next to the result
+   * @param {string} filePath
+   * @param {Object} [options] - emailColumn (header name or 0-based index), delimiter, encoding
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *streamCsvRecords(filePath, options = {}) {
+    let headers = null
+    let column
+
+    for await (const fields of readCsvRecords(filePath, options)) {
+      if (!headers) {
+        headers = uniqueHeaders(fields)
+        column = findColumn(headers, options.emailColumn)
+        continue
+      }
+
+      yield {
+        email: (fields[column] || "").trim(),
+        input: Object.fromEntries(headers.map((header, i) => [header, fields[i] ?? ""])),
+      }
+    }
+  }
+
+  /**
+   * Read every input row as a { email, input? } record. CSV rows are all kept, even
+   * ones without a valid address, so the output lines up with the input file.
+   */
+  async *streamRecordsFromFile(filePath, options = {}) {
+    if (filePath.toLowerCase().endsWith(".csv")) {
+      yield* this.streamCsvRecords(filePath, options)
+      return
+    }
+    for await (const email of this.streamEmailsFromFile(filePath, options)) {
+      yield { email }
+    }
+  }
+
+  /**
+   * Load every input row as a { email, input? } record (see streamRecordsFromFile)
+   */
+  async loadRecordsFromFile(filePath, options = {}) {
+    const records = []
+    try {
+      for await (const record of this.streamRecordsFromFile(filePath, options)) {
+        records.push(record)
+      }
+    } catch (error) {
+      throw new Error(`Failed to load emails from file: ${error.message}`)
+    }
+    return records
+  }
+
+  /**
+   * Read emails from a txt or csv file one line at a time
+   * @param {string} filePath - txt (one per line) or csv (see streamCsvRecords)
+   * @param {Object} [options] - CSV options
+   * @returns {AsyncGenerator<string>}
+   */
+  async *streamEmailsFromFile(filePath, options = {}) {
+    const ext = filePath.split(".").pop().toLowerCase()
+
+    // A JSON array has to be parsed whole
+    if (ext === "json") {
+      yield* await this.loadEmailsFromFile(filePath)
+      return
+    }
+    if (ext !== "txt" && ext !== "csv") {
+      throw new Error(`Unsupported file format: ${ext}`)
+    }
+
+    if (ext === "csv") {
+      for await (const { email } of this.streamCsvRecords(filePath, options)) {
+        if (this.isValidEmailFormat(email)) {
+          yield email
+        }
+      }
+      return
+    }
+
+    const input = createReadStream(filePath, options.encoding || "utf-8")
+    const lines = createInterface({ input, crlfDelay: Infinity })
+    for await (const line of lines) {
+      const email = line.trim()
+      if (email && this.isValidEmailFormat(email)) {
+        yield email
+      }
     }
   }
 
   /**
    * Load emails from various file formats
    */
-  async loadEmailsFromFile(filePath) {
+  async loadEmailsFromFile(filePath, options = {}) {
     const ext = filePath.split(".").pop().toLowerCase()
 
     try {
-      const content = await fs.readFile(filePath, "utf-8")
+      if (ext === "csv") {
+        const emails = []
+        for await (const email of this.streamEmailsFromFile(filePath, options)) {
+          emails.push(email)
+        }
+        return emails
+      }
+
+      const content = await fs.readFile(filePath, options.encoding || "utf-8")
 
       switch (ext) {
         case "txt":
@@ -174,17 +761,6 @@ class BulkEmailProcessor {
             .map((line) => line.trim())
             .filter((line) => line && this.isValidEmailFormat(line))
 
-        case "csv":
-          const lines = content.split("\n").filter((line) => line.trim())
-          // Assume first column contains emails, skip header
-          return lines
-            .slice(1)
-            .map((line) => {
-              const email = line.split(",")[0].trim().replace(/"/g, "")
-              return this.isValidEmailFormat(email) ? email : null
-            })
-            .filter((email) => email)
-
         case "json":
           const data = JSON.parse(content)
           if (Array.isArray(data)) {
@@ -210,8 +786,7 @@ class BulkEmailProcessor {
    * Validate email format
    */
   isValidEmailFormat(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    return emailRegex.test(email)
+    return parseAddress(email).valid
   }
 
   /**
@@ -226,12 +801,25 @@ class BulkEmailProcessor {
       if (result.email && result.email.includes("@")) {
         const domain = result.email.split("@")[1]
         if (!domainStats[domain]) {
-          domainStats[domain] = { total: 0, valid: 0, invalid: 0, errors: 0 }
+          domainStats[domain] = {
+            total: 0,
+            valid: 0,
+            invalid: 0,
+            catchAll: 0,
+            errors: 0,
+            role: 0,
+            isFreeProvider: Boolean(result.isFreeProvider),
+          }
         }
         domainStats[domain].total++
-        if (result.isValid) {
+        if (result.isRole) {
+          domainStats[domain].role++
+        }
+        if (result.status === "catch_all") {
+          domainStats[domain].catchAll++
+        } else if (result.isValid === true) {
           domainStats[domain].valid++
-        } else if (["error", "rate_limited", "connection_failed"].includes(result.status)) {
+        } else if (["error", "connection_failed", "dns_error", "dns_timeout"].includes(result.status)) {
           domainStats[domain].errors++
         } else {
           domainStats[domain].invalid++
@@ -244,8 +832,14 @@ class BulkEmailProcessor {
       .sort(([, a], [, b]) => b.total - a.total)
       .slice(0, 10) // Top 10 domains
 
+    const domainList = Object.values(domainStats)
+
     report.domainAnalysis = {
-      totalDomains: Object.keys(domainStats).length,
+      totalDomains: domainList.length,
+      freeProviderDomains: domainList.filter((stats) => stats.isFreeProvider).length,
+      roleAccounts: results.filter((r) => r.isRole).length,
+      freeProviderEmails: results.filter((r) => r.isFreeProvider).length,
+      businessEmails: results.filter((r) => r.email?.includes("@") && !r.isFreeProvider).length,
       topDomains: sortedDomains.map(([domain, stats]) => ({
         domain,
         ...stats,
@@ -284,11 +878,11 @@ async function demonstrateBulkProcessing() {
   ]
 
   console.log(`Processing ${sampleEmails.length} sample emails...`)
+  processor.on("result", ({ result }) => console.log(`  ${result.email}: ${result.status}`))
+  new ProgressReporter().attach(processor)
 
   try {
-    const results = await processor.processBulkEmails(sampleEmails, {
-      saveIntermediate: false,
-    })
+    const results = await processor.processBulkEmails(sampleEmails)
 
     // Save final results
     await processor.saveResults(results, "bulk_verification_results.json")
@@ -298,14 +892,9 @@ async function demonstrateBulkProcessing() {
     console.log("\n=== Detailed Report ===")
     console.log(JSON.stringify(report, null, 2))
 
-    // Export to CSV
-    const csvContent = [
-      "Email,IsValid,Status,Message",
-      ...results.map((r) => `"${r.email}",${r.isValid},"${r.status}","${r.message}"`),
-    ].join("\n")
-
-    await fs.writeFile("bulk_verification_results.csv", csvContent)
-    console.log("\nResults exported to bulk_verification_results.csv")
+    // Export to CSV and an HTML report
+    await processor.verifier.exportToCsv(results, "bulk_verification_results.csv")
+    await processor.verifier.exportResults(results, "bulk_verification_report.html", { format: "html", report })
   } catch (error) {
     console.error("Bulk processing failed:", error.message)
   }
@@ -0,0 +1,81 @@
+import { parseAddress } from "./address-parser.js"
+
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Per-domain catch-all verdicts (true: accepts any address, false: rejects unknown ones)
+ * that expire, so a domain that changes its setup is probed again, and that are capped,
+ * least recently used first out, so a long-running server does not grow without bound
+ */
+class CatchAllVerdicts {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - How long a verdict holds, in ms (default: 7 days, like cached catch_all results)
+   * @param {number} [options.maxDomains] - Most domains remembered (default 10000)
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || 7 * DAY
+    this.maxDomains = options.maxDomains || 10000
+    this.entries = new Map() // domain -> { verdict, expiresAt }, least recently used first
+  }
+
+  /**
+   * @returns {boolean|undefined} The verdict, or undefined when the domain has none (or it expired)
+   */
+  get(domain) {
+    const entry = this.entries.get(domain)
+    if (!entry) {
+      return undefined
+    }
+    this.entries.delete(domain)
+    if (entry.expiresAt <= Date.now()) {
+      return undefined
+    }
+    this.entries.set(domain, entry)
+    return entry.verdict
+  }
+
+  set(domain, verdict) {
+    this.entries.delete(domain)
+    this.entries.set(domain, { verdict, expiresAt: Date.now() + this.ttl })
+    if (this.entries.size > this.maxDomains) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  /**
+   * Verdicts held for the domains of some addresses, as a plain object that can cross threads
+   * @param {string[]} emails
+   * @returns {Object} Domain -> verdict
+   */
+  pick(emails) {
+    const verdicts = {}
+    for (const email of emails) {
+      const domain = parseAddress(email).asciiDomain
+      const verdict = domain === undefined || domain in verdicts ? undefined : this.get(domain)
+      if (verdict !== undefined) {
+        verdicts[domain] = verdict
+      }
+    }
+    return verdicts
+  }
+
+  /**
+   * Take over verdicts from pick()
+   */
+  merge(verdicts) {
+    for (const [domain, verdict] of Object.entries(verdicts)) {
+      this.set(domain, verdict)
+    }
+  }
+
+  clear() {
+    this.entries.clear()
+  }
+
+  get size() {
+    return this.entries.size
+  }
+}
+
+export { CatchAllVerdicts }
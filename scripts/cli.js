@@ -3,9 +3,22 @@
 import { EmailVerifier } from "./email-verifier.js"
 import { AdvancedEmailVerifier } from "./advanced-email-verifier.js"
 import { BulkEmailProcessor } from "./bulk-email-processor.js"
+import { FileCacheStore, MemoryCacheStore, DEFAULT_CACHE_FILE } from "./result-cache.js"
+import { RetryQueue, DEFAULT_RETRY_DELAYS } from "./retry-queue.js"
+import { JobCheckpoint } from "./job-checkpoint.js"
+import { ResultStreamWriter, exportResults, resolveFields, FORMATS } from "./exporter.js"
+import { parseDelimiter } from "./csv.js"
+import { isValidSegmentName } from "./segmenter.js"
+import { ApiServer } from "./api-server.js"
+import { WebhookNotifier } from "./webhook-notifier.js"
+import { ProgressReporter } from "./progress-reporter.js"
+import { defaultLogger, LEVELS, LOG_FORMATS } from "./logger.js"
+import { TranscriptWriter, writeTranscripts, formatTranscript } from "./transcripts.js"
+import { createReadStream } from "fs"
+import { createInterface } from "readline"
 import { readFileSync } from "fs"
 import { fileURLToPath } from "url"
-import { dirname, join } from "path"
+import { dirname, join, resolve } from "path"
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -13,6 +26,12 @@ const __dirname = dirname(__filename)
 // Get package.json for version info
 const packageJson = JSON.parse(readFileSync(join(__dirname, "../package.json"), "utf8"))
 
+// Diagnostics go through the shared logger (stderr); results and reports stay on stdout
+const logger = defaultLogger.child({ component: "cli" })
+
+// --stream caches this many recent results (and DNS answers) in memory instead of mirroring the cache file
+const STREAM_CACHE_ENTRIES = 10000
+
 function showHelp() {
   console.log(`
 Node.js Email Verifier v${packageJson.version}
@@ -22,27 +41,98 @@ Usage: node scripts/cli.js [command] [options]
 Commands:
   verify <email>              Verify a single email address
   bulk <file>                 Verify emails from a file (txt, csv, json)
+  bulk --resume <job>         Continue an interrupted bulk job (job ID or checkpoint file)
   demo                        Run demonstration with sample emails
+  retry <queue-file>          Retry deferred (greylisted) emails and merge them into the bulk results
+  cache <stats|prune|clear>   Inspect the result cache, drop expired entries or empty it
+  serve                       Start the HTTP API (POST /verify, POST /jobs, GET /jobs/:id, GET /health)
   help                        Show this help message
 
 Options:
   --timeout <ms>              Connection timeout (default: 10000)
-  --debug                     Enable debug logging
+  --debug                     Log everything, including the SMTP dialogue (same as --log-level trace)
+  --log-level <level>         trace, debug, info, warn, error or silent (default: info)
+  --log-format <format>       Log lines as pretty text or json with context fields (default: pretty)
   --concurrency <n>           Number of concurrent verifications (default: 3)
   --delay <ms>                Delay between batches (default: 2000)
   --from <email>              From email address for SMTP (default: test@example.com)
-  --cache-expiry <ms>         Cache expiry time (default: 3600000)
-  --rate-limit <n>            Max requests per domain (default: 10)
+  --cache-expiry <ms>         Cache expiry for statuses without their own TTL (default: 3600000)
+  --cache-file <path>         Persistent result cache (default: ~/.email-verifier/cache.ndjson)
+  --no-cache                  Keep the result cache in memory for this run only
+  --rate-limit <n>            Max recipients per provider or MX host per window (default: 10)
+  --rate-window <ms>          Rate limit window (default: 60000)
+  --provider-limit <list>     Per-provider limits, e.g. microsoft=3,yahoo=2/30000 (n[/window ms])
   --output <file>             Output file for results
+  --no-catch-all              Skip catch-all (accept-all) domain probing
+  --workers <n>               bulk/serve: verify on n worker threads sharing one queue, cache and rate limits
+  --recipients-per-session <n>
+                              Max RCPT TO checks over one SMTP connection (default: 25)
+  --dns-server <ip[:port]>    Nameserver to query, repeatable (default: system resolvers)
+  --dns-timeout <ms>          DNS query timeout (default: 5000)
+  --dns-retries <n>           DNS retries per query (default: 2)
+  --reject-disposable         Treat disposable / temporary email addresses as invalid
+  --disposable-list <file>    Disposable domain list to use instead of the bundled one
+  --role-accounts <list>      Extra role mailbox names, comma separated (e.g. ops,it)
+  --free-providers <list>     Extra free provider domains, comma separated
+  --score-weights <list>      Override scoring weights, e.g. role=-25,freeProvider=0,catchAll=50
+  --retry-delays <list>       Delays before each deferred retry, e.g. 5m,15m,60m (default: 5m,15m,60m)
+  --email-column <name|n>     CSV column holding the address, by header or 0-based index (default: "Email")
+  --delimiter <char>          CSV delimiter for input and output, e.g. ";" or tab (default: ",")
+  --encoding <name>           Input/output file encoding, e.g. utf8, latin1, utf16le (default: utf8)
+  --format <format>           bulk: export written next to the results: csv, tsv, ndjson, html (default: csv)
+  --fields <list>             bulk: fields to export, e.g. email,status,score,reasons (default: the CSV columns)
+  --segments                  bulk: also split the results into send / review / suppress files with a manifest
+  --segment-map <list>        Status to segment overrides, e.g. catch_all=send,*=review (implies --segments)
+  --stream                    bulk: read the input line by line and write NDJSON/export rows as they complete
+                              (memory stays flat: the cache file is not used, only the last
+                              ${STREAM_CACHE_ENTRIES} results and DNS answers are cached in memory)
+  --resume <job>              bulk: resume the job, skipping emails it already verified
+  --wait                      retry: wait for deferred emails that are not due yet
+  --webhook <url>             bulk/serve: POST signed job events (started, progress, completed) to this URL
+  --webhook-secret <secret>   HMAC secret for X-Webhook-Signature (also EMAIL_VERIFIER_WEBHOOK_SECRET)
+  --webhook-interval <time>   Least time between progress events, e.g. 30s (default: 30s)
+  --tls <policy>              STARTTLS policy: opportunistic, required, disabled (default: opportunistic)
+  --transcripts               Record every SMTP command and reply; verify prints it, bulk saves the
+                              transcripts of failed addresses to <output>.transcripts.ndjson
+  --host <address>            serve: address to listen on (default: 127.0.0.1)
+  --port <n>                  serve: port to listen on (default: 3000)
+  --api-key <key>             serve: accepted API key, repeatable (also EMAIL_VERIFIER_API_KEYS, comma separated)
+  --client-limit <n[/ms]>     serve: API requests per client per window (default: 60/60000)
+  --max-job-emails <n>        serve: most emails one job may submit (default: 10000)
 
 Examples:
   node scripts/cli.js verify user@example.com
   node scripts/cli.js verify user@example.com --debug
   node scripts/cli.js bulk emails.txt --output results.json
+  node scripts/cli.js bulk contacts.csv --email-column "Work Email" --delimiter ";"
+  node scripts/cli.js bulk emails.txt --format html --output results.json
+  node scripts/cli.js bulk emails.txt --format tsv --fields email,status,score,provider
+  node scripts/cli.js bulk contacts.csv --segments --segment-map catch_all=send
+  node scripts/cli.js bulk big-list.csv --workers 4
+  node scripts/cli.js bulk huge-list.txt --stream --output results.ndjson
+  node scripts/cli.js bulk --resume 20261019-154914-a1b2c3
+  node scripts/cli.js bulk emails.txt --transcripts --output results.json
+  node scripts/cli.js bulk emails.txt --webhook https://example.com/hooks/verifier --webhook-secret "$SECRET"
+  node scripts/cli.js retry results.retry.json --wait
+  node scripts/cli.js cache stats
+  node scripts/cli.js serve --port 8080 --api-key "$API_KEY"
+  node scripts/cli.js serve --log-format json --log-level debug 2>> verifier.log
   node scripts/cli.js demo
 `)
 }
 
+/**
+ * Parse a duration such as 500, 30s, 5m or 1h into milliseconds
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(String(value).trim())
+  if (!match) {
+    return null
+  }
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 }
+  return Math.round(Number.parseFloat(match[1]) * units[match[2] || "ms"])
+}
+
 function parseArgs(args) {
   const options = {
     timeout: 10000,
@@ -51,12 +141,44 @@ function parseArgs(args) {
     delay: 2000,
     fromEmail: "test@example.com",
     cacheExpiry: 3600000,
+    cacheFile: DEFAULT_CACHE_FILE,
     maxRequestsPerDomain: 10,
+    rateLimitWindow: 60000,
+    providerLimits: {},
     output: null,
+    detectCatchAll: true,
+    tlsPolicy: "opportunistic",
+    recipientsPerSession: 25,
+    workers: 0,
+    nameservers: [],
+    dnsTimeout: 5000,
+    dnsRetries: 2,
+    rejectDisposable: false,
+    disposableDomainsFile: null,
+    roleAccounts: [],
+    freeProviders: [],
+    scoreWeights: {},
+    retryDelays: DEFAULT_RETRY_DELAYS,
+    wait: false,
+    resume: null,
+    stream: false,
+    emailColumn: null,
+    delimiter: ",",
+    encoding: "utf8",
+    format: "csv",
+    fields: null,
+    segments: null,
+    captureTranscript: false,
+    apiKeys: (process.env.EMAIL_VERIFIER_API_KEYS || "").split(",").filter(Boolean),
+    webhookUrl: null,
+    webhookSecret: process.env.EMAIL_VERIFIER_WEBHOOK_SECRET || null,
+    webhookInterval: 30000,
+    logLevel: null,
+    logFormat: "pretty",
   }
 
   const command = args[0]
-  const target = args[1]
+  const target = args[1]?.startsWith("--") ? undefined : args[1]
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i]
@@ -85,23 +207,234 @@ function parseArgs(args) {
         options.cacheExpiry = Number.parseInt(args[i + 1]) || options.cacheExpiry
         i++
         break
+      case "--cache-file":
+        options.cacheFile = args[i + 1] || options.cacheFile
+        i++
+        break
+      case "--no-cache":
+        options.cacheFile = null
+        break
       case "--rate-limit":
         options.maxRequestsPerDomain = Number.parseInt(args[i + 1]) || options.maxRequestsPerDomain
         i++
         break
+      case "--rate-window":
+        options.rateLimitWindow = Number.parseInt(args[i + 1]) || options.rateLimitWindow
+        i++
+        break
+      case "--provider-limit":
+        for (const pair of (args[i + 1] || "").split(",")) {
+          const [provider, limit = ""] = pair.split("=")
+          const [requests, window] = limit.split("/").map((n) => Number.parseInt(n))
+          if (provider && requests > 0) {
+            options.providerLimits[provider.trim()] = window > 0 ? { requests, window } : { requests }
+          }
+        }
+        i++
+        break
       case "--output":
         options.output = args[i + 1]
         i++
         break
+      case "--no-catch-all":
+        options.detectCatchAll = false
+        break
+      case "--workers":
+        options.workers = Number.parseInt(args[i + 1]) || options.workers
+        i++
+        break
+      case "--recipients-per-session":
+        options.recipientsPerSession = Number.parseInt(args[i + 1]) || options.recipientsPerSession
+        i++
+        break
+      case "--dns-server":
+        if (args[i + 1]) {
+          options.nameservers.push(args[i + 1])
+        }
+        i++
+        break
+      case "--dns-timeout":
+        options.dnsTimeout = Number.parseInt(args[i + 1]) || options.dnsTimeout
+        i++
+        break
+      case "--dns-retries":
+        options.dnsRetries = Number.parseInt(args[i + 1]) >= 0 ? Number.parseInt(args[i + 1]) : options.dnsRetries
+        i++
+        break
+      case "--reject-disposable":
+        options.rejectDisposable = true
+        break
+      case "--disposable-list":
+        options.disposableDomainsFile = args[i + 1]
+        i++
+        break
+      case "--role-accounts":
+        options.roleAccounts = (args[i + 1] || "").split(",").filter(Boolean)
+        i++
+        break
+      case "--free-providers":
+        options.freeProviders = (args[i + 1] || "").split(",").filter(Boolean)
+        i++
+        break
+      case "--score-weights":
+        for (const pair of (args[i + 1] || "").split(",")) {
+          const [key, value] = pair.split("=")
+          if (key && !Number.isNaN(Number.parseFloat(value))) {
+            options.scoreWeights[key.trim()] = Number.parseFloat(value)
+          }
+        }
+        i++
+        break
+      case "--retry-delays": {
+        const delays = (args[i + 1] || "").split(",").map(parseDuration)
+        if (delays.length > 0 && delays.every((delay) => delay > 0)) {
+          options.retryDelays = delays
+        }
+        i++
+        break
+      }
+      case "--email-column":
+        options.emailColumn = args[i + 1]
+        i++
+        break
+      case "--delimiter":
+        options.delimiter = parseDelimiter(args[i + 1]) || options.delimiter
+        i++
+        break
+      case "--encoding":
+        if (Buffer.isEncoding(args[i + 1])) {
+          options.encoding = args[i + 1]
+        }
+        i++
+        break
+      case "--format":
+        if (FORMATS.includes(args[i + 1])) {
+          options.format = args[i + 1]
+        }
+        i++
+        break
+      case "--fields":
+        options.fields = (args[i + 1] || "")
+          .split(",")
+          .map((field) => field.trim())
+          .filter(Boolean)
+        i++
+        break
+      case "--segments":
+        options.segments = options.segments || {}
+        break
+      case "--segment-map":
+        options.segments = options.segments || {}
+        for (const pair of (args[i + 1] || "").split(",")) {
+          const [status, segment] = pair.split("=").map((part) => part?.trim())
+          if (status && segment && isValidSegmentName(segment)) {
+            options.segments[status] = segment
+          }
+        }
+        i++
+        break
+      case "--stream":
+        options.stream = true
+        break
+      case "--transcripts":
+        options.captureTranscript = true
+        break
+      case "--resume":
+        options.resume = args[i + 1]
+        i++
+        break
+      case "--wait":
+        options.wait = true
+        break
+      case "--webhook":
+        options.webhookUrl = args[i + 1]
+        i++
+        break
+      case "--webhook-secret":
+        options.webhookSecret = args[i + 1] || options.webhookSecret
+        i++
+        break
+      case "--webhook-interval":
+        options.webhookInterval = parseDuration(args[i + 1] || "") ?? options.webhookInterval
+        i++
+        break
+      case "--host":
+        if (args[i + 1]) {
+          options.host = args[i + 1]
+        }
+        i++
+        break
+      case "--port":
+        if (Number.parseInt(args[i + 1]) >= 0) {
+          options.port = Number.parseInt(args[i + 1])
+        }
+        i++
+        break
+      case "--api-key":
+        if (args[i + 1]) {
+          options.apiKeys.push(args[i + 1])
+        }
+        i++
+        break
+      case "--client-limit": {
+        const [requests, window] = (args[i + 1] || "").split("/").map((n) => Number.parseInt(n))
+        if (requests > 0) {
+          options.clientLimit = { requests, window: window > 0 ? window : 60000 }
+        }
+        i++
+        break
+      }
+      case "--max-job-emails":
+        if (Number.parseInt(args[i + 1]) > 0) {
+          options.maxJobEmails = Number.parseInt(args[i + 1])
+        }
+        i++
+        break
+      case "--tls":
+        if (["opportunistic", "required", "disabled"].includes(args[i + 1])) {
+          options.tlsPolicy = args[i + 1]
+        }
+        i++
+        break
+      case "--log-level":
+        if (args[i + 1] in LEVELS) {
+          options.logLevel = args[i + 1]
+        }
+        i++
+        break
+      case "--log-format":
+        if (LOG_FORMATS.includes(args[i + 1])) {
+          options.logFormat = args[i + 1]
+        }
+        i++
+        break
     }
   }
 
   return { command, target, options }
 }
 
+// Credentials never printed with the options
+const SECRET_OPTIONS = ["apiKeys", "webhookSecret"]
+
+/**
+ * Print the effective options, secrets masked
+ */
+function printOptions(options) {
+  const shown = { ...options }
+  for (const key of SECRET_OPTIONS) {
+    if (Array.isArray(shown[key])) {
+      shown[key] = shown[key].map(() => "***")
+    } else if (shown[key]) {
+      shown[key] = "***"
+    }
+  }
+  console.log("Options:", JSON.stringify(shown, null, 2))
+}
+
 async function verifySingleEmail(email, options) {
   console.log(`Verifying email: ${email}`)
-  console.log("Options:", JSON.stringify(options, null, 2))
+  printOptions(options)
   console.log("---")
 
   const verifier = new EmailVerifier(options)
@@ -111,35 +444,121 @@ async function verifySingleEmail(email, options) {
 
     console.log("\nResult:")
     console.log(`Email: ${result.email}`)
-    console.log(`Valid: ${result.isValid ? "✅ Yes" : "❌ No"}`)
+    console.log(`Valid: ${result.isValid === "unknown" ? "❔ Unknown" : result.isValid ? "✅ Yes" : "❌ No"}`)
     console.log(`Status: ${result.status}`)
+    console.log(`Score: ${result.score}/100 (${result.tier})`)
     console.log(`Message: ${result.message}`)
 
+    if (result.suggestion) {
+      console.log(`Did you mean: ${result.suggestion}?`)
+    }
+
+    console.log(`Disposable: ${result.isDisposable ? "Yes" : "No"}`)
+    console.log(`Role account: ${result.isRole ? "Yes" : "No"}`)
+    console.log(`Free provider: ${result.isFreeProvider ? "Yes" : "No"}`)
+
     if (result.smtpResponse) {
       console.log(`SMTP Response: ${result.smtpResponse}`)
     }
 
+    if (result.reason) {
+      console.log(`Failure reason: ${result.reason}${result.enhancedCode ? ` (${result.enhancedCode})` : ""}`)
+    }
+
+    if (result.reasons && result.reasons.length > 0) {
+      console.log("Reasons:")
+      result.reasons.forEach((reason) => console.log(`  - ${reason}`))
+    }
+
+    if (result.tls) {
+      console.log(`TLS: ${result.tls.version} (${result.tls.cipher})`)
+      if (result.tls.certificate) {
+        const { subject, issuer, validTo } = result.tls.certificate
+        console.log(`Certificate: ${subject} issued by ${issuer}, expires ${validTo}`)
+      }
+    }
+
+    if (result.transcript) {
+      console.log("\nSMTP transcript:")
+      formatTranscript(result.transcript).forEach((line) => console.log(`  ${line}`))
+    }
+
     if (options.output) {
       const fs = await import("fs/promises")
       await fs.writeFile(options.output, JSON.stringify(result, null, 2))
       console.log(`\nResult saved to: ${options.output}`)
     }
   } catch (error) {
-    console.error("Error:", error.message)
+    logger.error(error.message)
     process.exit(1)
   }
 }
 
 async function verifyBulkEmails(filePath, options) {
+  try {
+    resolveFields(options.fields)
+    checkWebhook(options)
+  } catch (error) {
+    logger.error(error.message)
+    process.exit(1)
+  }
+
+  if (options.stream) {
+    if (options.resume) {
+      logger.error("--resume is not supported with --stream")
+      process.exit(1)
+    }
+    return streamBulkEmails(filePath, options)
+  }
+
+  // A resumed job reads the same input and writes the same output as the original run
+  const checkpoint = new JobCheckpoint({ job: options.resume })
+  if (options.resume) {
+    try {
+      const meta = await checkpoint.load()
+      filePath = meta.inputFile
+      options = {
+        ...options,
+        ...meta.csv,
+        ...meta.export,
+        output: meta.outputFile,
+        webhookUrl: options.webhookUrl || meta.webhookUrl,
+        captureTranscript: options.captureTranscript || Boolean(meta.captureTranscript),
+      }
+    } catch (error) {
+      logger.error(`Cannot resume job ${options.resume}`, { jobId: options.resume, error })
+      process.exit(1)
+    }
+
+    // Running a finished job again would only rewrite its results and mark it done twice
+    if (checkpoint.meta.completedAt) {
+      console.log(`Job ${checkpoint.jobId} already finished at ${checkpoint.meta.completedAt}`)
+      console.log(`Results: ${options.output}`)
+      return
+    }
+  }
+
   console.log(`Processing emails from: ${filePath}`)
-  console.log("Options:", JSON.stringify(options, null, 2))
+  printOptions(options)
   console.log("---")
 
-  const processor = new BulkEmailProcessor(options)
+  const outputFile = options.output || `verification_results_${Date.now()}.json`
+  const retryQueueFile = `${outputFile.replace(/\.json$/, "")}.retry.json`
+  const csvOptions = { emailColumn: options.emailColumn, delimiter: options.delimiter, encoding: options.encoding }
+  const exportOptions = exportOptionsFrom(options)
+  const exportFile = exportPath(outputFile, options.format)
+  const processor = new BulkEmailProcessor({
+    ...options,
+    retryQueueFile,
+    retryResultsFile: outputFile,
+    retryExportFile: exportFile,
+    retryExportOptions: exportOptions,
+    segmentMap: options.segments,
+  })
 
   try {
-    // Load emails from file
-    const emails = await processor.loadEmailsFromFile(filePath)
+    // Load emails from file (CSV rows keep their other columns for the output)
+    const emails = await processor.loadRecordsFromFile(filePath, csvOptions)
     console.log(`Loaded ${emails.length} emails from file`)
 
     if (emails.length === 0) {
@@ -147,8 +566,54 @@ async function verifyBulkEmails(filePath, options) {
       return
     }
 
+    if (options.resume) {
+      // Keep the addresses the interrupted run deferred for retry
+      await processor.retryQueue.load().catch(() => {})
+      if (checkpoint.meta.total !== emails.length) {
+        logger.warn(`${filePath} changed since the job started (${checkpoint.meta.total} -> ${emails.length} emails)`, {
+          jobId: checkpoint.jobId,
+        })
+      }
+    } else {
+      await checkpoint.start({
+        inputFile: resolve(filePath),
+        outputFile,
+        total: emails.length,
+        csv: csvOptions,
+        export: exportOptions,
+        webhookUrl: options.webhookUrl,
+        captureTranscript: options.captureTranscript,
+      })
+    }
+    console.log(`Job ID: ${checkpoint.jobId} (checkpoint: ${checkpoint.filePath})`)
+
+    // First Ctrl+C checkpoints after the current batch, a second one exits immediately
+    const onInterrupt = () => {
+      if (processor.stopRequested) {
+        process.exit(130)
+      }
+      console.log("\nStopping after the current batch, press Ctrl+C again to exit now...")
+      processor.stop()
+    }
+    process.on("SIGINT", onInterrupt)
+
     // Process emails
-    const results = await processor.processBulkEmails(emails)
+    const reporter = new ProgressReporter(reporterOptions(options, checkpoint.jobId)).attach(processor)
+    let results
+    try {
+      results = await processor.processBulkEmails(emails, { checkpoint })
+    } finally {
+      reporter.detach()
+      process.off("SIGINT", onInterrupt)
+      await processor.close()
+    }
+
+    if (processor.interrupted) {
+      console.log(`\nJob ${checkpoint.jobId} stopped with ${results.length}/${emails.length} emails done`)
+      console.log(`Resume with: node scripts/cli.js bulk --resume ${options.resume || checkpoint.jobId}`)
+      process.exitCode = 130
+      return
+    }
 
     // Generate report
     const report = processor.generateDetailedReport(results)
@@ -159,14 +624,44 @@ async function verifyBulkEmails(filePath, options) {
     console.log(`Invalid: ${report.summary.invalid} (${report.summary.invalidPercentage}%)`)
     console.log(`Errors: ${report.summary.errors}`)
     console.log(`Temporary failures: ${report.summary.temporary}`)
+    console.log(`Catch-all (unknown): ${report.summary.catchAll}`)
+    console.log(`Disposable: ${report.summary.disposable}`)
+
+    console.log(`Average score: ${report.summary.averageScore ?? "n/a"}`)
+
+    console.log("\nBy tier:")
+    Object.entries(report.tierBreakdown).forEach(([tier, count]) => {
+      console.log(`  ${tier}: ${count}`)
+    })
+
+    console.log(`\nRole accounts: ${report.domainAnalysis.roleAccounts}`)
+    console.log(`Free provider emails: ${report.domainAnalysis.freeProviderEmails}`)
 
     if (report.domainAnalysis.topDomains.length > 0) {
       console.log("\nTop domains:")
       report.domainAnalysis.topDomains.forEach((domain, index) => {
-        console.log(`${index + 1}. ${domain.domain}: ${domain.total} emails, ${domain.validRate} valid`)
+        const tags = [domain.isFreeProvider && "free provider", domain.role > 0 && `${domain.role} role`]
+          .filter(Boolean)
+          .join(", ")
+        console.log(
+          `${index + 1}. ${domain.domain}: ${domain.total} emails, ${domain.validRate} valid${tags ? ` (${tags})` : ""}`,
+        )
       })
     }
 
+    const providers = Object.entries(report.providerThroughput)
+    if (providers.length > 0) {
+      console.log("\nProvider throughput:")
+      providers
+        .sort(([, a], [, b]) => b.recipients - a.recipients)
+        .forEach(([provider, stats]) => {
+          console.log(
+            `  ${provider}: ${stats.recipients} recipients in ${stats.sessions} sessions, ` +
+              `${stats.perMinute ?? "n/a"}/min (limit ${stats.limit}), waited ${(stats.waitMs / 1000).toFixed(1)}s`,
+          )
+        })
+    }
+
     if (report.recommendations.length > 0) {
       console.log("\nRecommendations:")
       report.recommendations.forEach((rec, index) => {
@@ -175,29 +670,350 @@ async function verifyBulkEmails(filePath, options) {
     }
 
     // Save results
-    const outputFile = options.output || `verification_results_${Date.now()}.json`
     await processor.saveResults(results, outputFile)
 
-    // Also save CSV
-    const csvFile = outputFile.replace(".json", ".csv")
-    const fs = await import("fs/promises")
-    const csvContent = [
-      "Email,IsValid,Status,Message,SMTPResponse",
-      ...results.map((r) => `"${r.email}",${r.isValid},"${r.status}","${r.message}","${r.smtpResponse || ""}"`),
-    ].join("\n")
-
-    await fs.writeFile(csvFile, csvContent)
+    // Also save the export (CSV unless --format says otherwise)
+    await writeExport(processor, results, exportFile, exportOptions)
     console.log(`\nResults saved to: ${outputFile}`)
-    console.log(`CSV exported to: ${csvFile}`)
+    console.log(`${options.format.toUpperCase()} exported to: ${exportFile}`)
+
+    if (options.segments) {
+      printSegments(await processor.writeSegments(results, outputFile, exportOptions))
+    }
+    if (options.captureTranscript) {
+      printTranscripts(await writeTranscripts(results, outputFile))
+    }
+
+    if (processor.retryQueue.size > 0) {
+      const nextRetry = new Date(processor.retryQueue.nextRetryAt()).toLocaleString()
+      console.log(`\n${processor.retryQueue.size} emails deferred (greylisting or other 4xx), first retry ${nextRetry}`)
+      console.log(`Finish them with: node scripts/cli.js retry ${retryQueueFile}`)
+    }
   } catch (error) {
-    console.error("Error:", error.message)
+    logger.error(error.message)
     process.exit(1)
   }
 }
 
+/**
+ * Reject a bad webhook URL before any work starts, and point out unsigned events
+ */
+function checkWebhook(options) {
+  if (!options.webhookUrl) {
+    return
+  }
+  new WebhookNotifier({ url: options.webhookUrl })
+  if (!options.webhookSecret) {
+    logger.warn("No --webhook-secret, webhook events will not be signed")
+  }
+}
+
+/**
+ * JSON logs get progress as log entries instead of a live line on stdout
+ */
+function reporterOptions(options, jobId) {
+  return options.logFormat === "json" ? { logger: logger.child({ jobId }) } : {}
+}
+
+/**
+ * Export settings that bulk results and their later retry merges are written with
+ */
+function exportOptionsFrom(options) {
+  const { format, fields, delimiter, encoding, segments } = options
+  return { format, fields, delimiter, encoding, segments }
+}
+
+/**
+ * Name the export written next to a results file: results.json -> results.csv.
+ * An export that would overwrite the results file gets an .export suffix instead.
+ */
+function exportPath(resultsFile, format = "csv") {
+  const base = resultsFile.replace(/\.(nd)?json$/, "")
+  const exportFile = `${base}.${format}`
+  return exportFile === resultsFile ? `${base}.export.${format}` : exportFile
+}
+
+/**
+ * Write the export of a results set, with the detailed report for HTML
+ */
+async function writeExport(processor, results, exportFile, exportOptions) {
+  const report = exportOptions.format === "html" ? processor.generateDetailedReport(results) : undefined
+  await exportResults(results, exportFile, { ...exportOptions, report })
+}
+
+/**
+ * Show the segment files listed in a manifest
+ */
+function printSegments({ manifestFile, manifest }) {
+  console.log("\nSegments:")
+  Object.entries(manifest.segments).forEach(([name, { count, file }]) => {
+    console.log(`  ${name}: ${count} emails -> ${join(dirname(manifestFile), file)}`)
+  })
+  console.log(`Manifest: ${manifestFile}`)
+}
+
+function printTranscripts({ file, count }) {
+  console.log(`SMTP transcripts of ${count} failed emails written to: ${file}`)
+}
+
+async function streamBulkEmails(filePath, options) {
+  console.log(`Streaming emails from: ${filePath}`)
+  printOptions(options)
+  console.log("---")
+
+  if (options.format === "html") {
+    logger.error("The html format needs all results at once and cannot be used with --stream")
+    process.exit(1)
+  }
+
+  const base = (options.output || `verification_results_${Date.now()}`).replace(/\.(nd)?json$/, "")
+  const ndjsonFile = `${base}.ndjson`
+  const exportFile = exportPath(ndjsonFile, options.format)
+  const retryQueueFile = `${base}.retry.json`
+  const csvOptions = { emailColumn: options.emailColumn, delimiter: options.delimiter, encoding: options.encoding }
+  const exportOptions = exportOptionsFrom(options)
+  if (options.cacheFile && options.cacheFile !== DEFAULT_CACHE_FILE) {
+    logger.warn(`--stream does not use the cache file ${options.cacheFile}, results are cached in memory only`)
+  }
+  const processor = new BulkEmailProcessor({
+    ...options,
+    // A file cache mirrors every entry in memory, which a list of any size must not depend on
+    cacheStore: new MemoryCacheStore({ maxEntries: STREAM_CACHE_ENTRIES }),
+    // The process-wide DNS cache would grow by every distinct domain of the list
+    dnsCacheEntries: STREAM_CACHE_ENTRIES,
+    retryQueueFile,
+    retryResultsFile: ndjsonFile,
+    retryExportFile: exportFile,
+    retryExportOptions: exportOptions,
+    segmentMap: options.segments,
+  })
+  const writer = new ResultStreamWriter({ ndjsonFile, exportFile, ...exportOptions })
+  const segmentWriter = options.segments ? processor.createSegmentWriter(ndjsonFile, exportOptions) : null
+  const transcriptWriter = options.captureTranscript ? new TranscriptWriter(ndjsonFile) : null
+
+  const onInterrupt = () => {
+    if (processor.stopRequested) {
+      process.exit(130)
+    }
+    console.log("\nStopping after the current batch, press Ctrl+C again to exit now...")
+    processor.stop()
+  }
+  process.on("SIGINT", onInterrupt)
+  const reporter = new ProgressReporter(reporterOptions(options)).attach(processor)
+
+  try {
+    const records = processor.streamRecordsFromFile(filePath, csvOptions)
+    const outputs = [writer, segmentWriter, transcriptWriter].filter(Boolean)
+    const summary = await processor.processEmailStream(records, outputs)
+    reporter.detach()
+    await writer.close()
+    const segments = await segmentWriter?.close()
+    const transcripts = await transcriptWriter?.close()
+
+    console.log("\n=== VERIFICATION SUMMARY ===")
+    console.log(`Total emails: ${summary.total}${processor.interrupted ? " (stopped early)" : ""}`)
+    console.log(`Average score: ${summary.averageScore ?? "n/a"}`)
+    console.log("\nBy status:")
+    Object.entries(summary.byStatus).forEach(([status, count]) => console.log(`  ${status}: ${count}`))
+    console.log("\nBy tier:")
+    Object.entries(summary.byTier).forEach(([tier, count]) => console.log(`  ${tier}: ${count}`))
+
+    console.log(`\nResults written to: ${ndjsonFile}`)
+    console.log(`${options.format.toUpperCase()} written to: ${exportFile}`)
+    if (segments) {
+      printSegments(segments)
+    }
+    if (transcripts) {
+      printTranscripts(transcripts)
+    }
+
+    if (processor.retryQueue.size > 0) {
+      console.log(`\n${processor.retryQueue.size} emails deferred (greylisting or other 4xx)`)
+      console.log(`Finish them with: node scripts/cli.js retry ${retryQueueFile}`)
+    }
+    if (processor.interrupted) {
+      process.exitCode = 130
+    }
+  } catch (error) {
+    logger.error(error.message)
+    process.exit(1)
+  } finally {
+    reporter.detach()
+    process.off("SIGINT", onInterrupt)
+    await processor.close()
+  }
+}
+
+/**
+ * Swap in the retried result for an address, keeping its CSV passthrough columns
+ */
+function mergeRetried(result, latest) {
+  const retried = latest.get(result.email)
+  return retried ? { ...retried, input: result.input } : result
+}
+
+/**
+ * Replace retried results in an NDJSON results file (and its export) without loading it whole
+ */
+async function mergeNdjsonResults(processor, resultsFile, latest, exportFile, exportOptions = {}) {
+  const fs = await import("fs/promises")
+  const writer = new ResultStreamWriter({
+    ndjsonFile: `${resultsFile}.tmp`,
+    exportFile: `${exportFile}.tmp`,
+    ...exportOptions,
+  })
+  const segmentWriter = exportOptions.segments ? processor.createSegmentWriter(resultsFile, exportOptions) : null
+  const lines = createInterface({ input: createReadStream(resultsFile, "utf-8"), crlfDelay: Infinity })
+
+  for await (const line of lines) {
+    if (line.trim()) {
+      const result = mergeRetried(JSON.parse(line), latest)
+      await writer.write([result])
+      await segmentWriter?.write([result])
+    }
+  }
+  await writer.close()
+  const segments = await segmentWriter?.close()
+
+  await fs.rename(`${resultsFile}.tmp`, resultsFile)
+  await fs.rename(`${exportFile}.tmp`, exportFile)
+  return segments
+}
+
+async function retryDeferredEmails(queueFile, options) {
+  console.log(`Retrying deferred emails from: ${queueFile}`)
+  console.log("---")
+
+  try {
+    // The queue remembers how the bulk run exported (and segmented) its results
+    const retryQueue = new RetryQueue({ filePath: queueFile, delays: options.retryDelays })
+    await retryQueue.load()
+    const { resultsFile } = retryQueue
+    const exportOptions = { format: "csv", ...(retryQueue.exportOptions || exportOptionsFrom(options)) }
+    const processor = new BulkEmailProcessor({ ...options, retryQueue, segmentMap: exportOptions.segments })
+    const exportFile = retryQueue.exportFile || exportPath(resultsFile || "", exportOptions.format)
+    console.log(`${processor.retryQueue.size} deferred emails, ${processor.retryQueue.due().length} due now`)
+
+    const retried = await processor.processRetryQueue({ wait: options.wait })
+
+    retried.forEach((result) => {
+      const when = result.retryAt ? `, retry again at ${new Date(result.retryAt).toLocaleTimeString()}` : ""
+      console.log(`  ${result.email}: ${result.status}${when}`)
+    })
+
+    // Merge the new results into the original results file
+    if (resultsFile && retried.length > 0) {
+      const latest = new Map(retried.map((result) => [result.email, result]))
+      let segments
+
+      if (resultsFile.endsWith(".ndjson")) {
+        segments = await mergeNdjsonResults(processor, resultsFile, latest, exportFile, exportOptions)
+      } else {
+        const fs = await import("fs/promises")
+        const results = JSON.parse(await fs.readFile(resultsFile, "utf-8"))
+        const merged = results.map((result) => mergeRetried(result, latest))
+
+        await processor.saveResults(merged, resultsFile)
+        await writeExport(processor, merged, exportFile, exportOptions)
+        if (exportOptions.segments) {
+          segments = await processor.writeSegments(merged, resultsFile, exportOptions)
+        }
+      }
+      console.log(`\nMerged ${retried.length} results into ${resultsFile} and ${exportFile}`)
+      if (segments) {
+        printSegments(segments)
+      }
+    }
+
+    if (processor.retryQueue.size > 0) {
+      const nextRetry = new Date(processor.retryQueue.nextRetryAt()).toLocaleString()
+      console.log(`\n${processor.retryQueue.size} emails still deferred, next retry due ${nextRetry}`)
+      console.log("Run again later, or pass --wait to wait for them")
+    } else {
+      console.log("\nNo deferred emails left")
+    }
+  } catch (error) {
+    logger.error(error.message)
+    process.exit(1)
+  }
+}
+
+async function manageCache(action, options) {
+  if (!options.cacheFile) {
+    logger.error("No cache file in use (--no-cache)")
+    process.exit(1)
+  }
+
+  const cache = new FileCacheStore({ filePath: options.cacheFile })
+
+  switch (action) {
+    case "stats": {
+      const stats = await cache.stats()
+      console.log(`Cache file: ${stats.file}`)
+      console.log(`Size: ${(stats.sizeBytes / 1024).toFixed(1)} KB`)
+      console.log(`Entries: ${stats.entries} (${stats.live} live, ${stats.expired} expired)`)
+      Object.entries(stats.byStatus)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([status, count]) => console.log(`  ${status}: ${count}`))
+      break
+    }
+
+    case "prune": {
+      const removed = await cache.prune()
+      console.log(`Removed ${removed} expired entries from ${options.cacheFile}`)
+      break
+    }
+
+    case "clear":
+      await cache.clear()
+      console.log(`Cleared ${options.cacheFile}`)
+      break
+
+    default:
+      logger.error(`Unknown cache action '${action || ""}'`)
+      console.log("Usage: node scripts/cli.js cache <stats|prune|clear>")
+      process.exit(1)
+  }
+}
+
+async function startServer(options) {
+  // Jobs without a secret of their own get a generated one, so only the URL needs checking
+  try {
+    if (options.webhookUrl) {
+      new WebhookNotifier({ url: options.webhookUrl })
+    }
+  } catch (error) {
+    logger.error(error.message)
+    process.exit(1)
+  }
+  const server = new ApiServer(options)
+
+  try {
+    const { host, port } = await server.start()
+    logger.info(`Email verifier API listening on http://${host.includes(":") ? `[${host}]` : host}:${port}`, {
+      cache: options.cacheFile || "in memory",
+    })
+  } catch (error) {
+    logger.error("Cannot start server", { error })
+    process.exit(1)
+  }
+
+  if (options.apiKeys.length === 0) {
+    logger.warn("No API keys configured (--api-key), every client can use the API")
+  }
+
+  // Let running jobs checkpoint and the cache flush before exiting
+  const shutdown = () => {
+    logger.info("Shutting down...")
+    server.close().then(() => process.exit(0))
+  }
+  process.once("SIGINT", shutdown)
+  process.once("SIGTERM", shutdown)
+}
+
 async function runDemo(options) {
   console.log("Running Email Verifier Demo")
-  console.log("Options:", JSON.stringify(options, null, 2))
+  printOptions(options)
   console.log("---")
 
   const verifier = new AdvancedEmailVerifier(options)
@@ -220,10 +1036,14 @@ async function runDemo(options) {
       const result = await verifier.verifyEmailAdvanced(email)
       results.push(result)
 
-      const status = result.isValid ? "✅ Valid" : "❌ Invalid"
-      console.log(`  Result: ${status} (${result.status})`)
+      const status = result.isValid === "unknown" ? "❔ Unknown" : result.isValid ? "✅ Valid" : "❌ Invalid"
+      console.log(`  Result: ${status} (${result.status}), score ${result.score}/100 (${result.tier})`)
       console.log(`  Message: ${result.message}`)
 
+      if (result.suggestion) {
+        console.log(`  💡 Did you mean: ${result.suggestion}?`)
+      }
+
       if (result.fromCache) {
         console.log("  📋 From cache")
       }
@@ -240,7 +1060,7 @@ async function runDemo(options) {
   }
 
   // Generate summary
-  const validCount = results.filter((r) => r.isValid).length
+  const validCount = results.filter((r) => r.isValid === true).length
   const invalidCount = results.filter((r) => !r.isValid && r.status !== "error").length
   const errorCount = results.filter((r) => r.status === "error").length
 
@@ -250,6 +1070,8 @@ async function runDemo(options) {
   console.log(`Invalid: ${invalidCount}`)
   console.log(`Errors: ${errorCount}`)
 
+  await verifier.flushCache()
+
   if (options.output) {
     const fs = await import("fs/promises")
     await fs.writeFile(options.output, JSON.stringify(results, null, 2))
@@ -266,6 +1088,7 @@ async function main() {
   }
 
   const { command, target, options } = parseArgs(args)
+  defaultLogger.configure({ level: options.logLevel || (options.debug ? "trace" : "info"), format: options.logFormat })
 
   try {
     switch (command) {
@@ -279,7 +1102,7 @@ async function main() {
         break
 
       case "bulk":
-        if (!target) {
+        if (!target && !options.resume) {
           console.error("Error: File path required for bulk command")
           console.log("Usage: node scripts/cli.js bulk <file>")
           process.exit(1)
@@ -291,16 +1114,30 @@ async function main() {
         await runDemo(options)
         break
 
+      case "retry":
+        if (!target) {
+          console.error("Error: Retry queue file required for retry command")
+          console.log("Usage: node scripts/cli.js retry <queue-file>")
+          process.exit(1)
+        }
+        await retryDeferredEmails(target, options)
+        break
+
+      case "cache":
+        await manageCache(target, options)
+        break
+
+      case "serve":
+        await startServer(options)
+        break
+
       default:
         console.error(`Error: Unknown command '${command}'`)
         showHelp()
         process.exit(1)
     }
   } catch (error) {
-    console.error("Fatal error:", error.message)
-    if (options.debug) {
-      console.error(error.stack)
-    }
+    logger.error(`Fatal error: ${error.message}`, { stack: options.debug ? error.stack : undefined })
     process.exit(1)
   }
 }
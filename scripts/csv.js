@@ -0,0 +1,175 @@
+import { createReadStream } from "fs"
+
+/**
+ * Incremental RFC 4180 parser: feed it chunks, get complete records back.
+ * Handles quoted fields containing delimiters, quotes ("") and line breaks.
+ */
+class CsvParser {
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || ","
+    this.record = []
+    this.field = ""
+    this.inQuotes = false
+    this.quoteSeen = false // closing quote seen, unless the next char is another quote
+  }
+
+  /**
+   * Parse a chunk
+   * @param {string} chunk
+   * @returns {string[][]} Records completed by this chunk
+   */
+  push(chunk) {
+    const records = []
+
+    for (const char of chunk) {
+      if (this.inQuotes) {
+        if (char === '"') {
+          this.inQuotes = false
+          this.quoteSeen = true
+        } else {
+          this.field += char
+        }
+        continue
+      }
+
+      if (char === '"') {
+        // "" inside a quoted field is an escaped quote
+        if (this.quoteSeen) {
+          this.field += '"'
+        }
+        this.inQuotes = true
+        this.quoteSeen = false
+      } else if (char === this.delimiter) {
+        this.endField()
+      } else if (char === "\n") {
+        this.endRecord(records)
+      } else if (char !== "\r") {
+        this.field += char
+        this.quoteSeen = false
+      }
+    }
+
+    return records
+  }
+
+  /**
+   * Finish parsing
+   * @returns {string[][]} The last record, if the input did not end with a newline
+   */
+  end() {
+    const records = []
+    this.endRecord(records)
+    return records
+  }
+
+  endField() {
+    this.record.push(this.field)
+    this.field = ""
+    this.quoteSeen = false
+  }
+
+  endRecord(records) {
+    this.endField()
+    // Blank lines are not records
+    if (this.record.length > 1 || this.record[0] !== "") {
+      records.push(this.record)
+    }
+    this.record = []
+  }
+}
+
+/**
+ * Parse a whole CSV document
+ * @returns {string[][]} Records
+ */
+function parseCsv(text, options = {}) {
+  const parser = new CsvParser(options)
+  return [...parser.push(text), ...parser.end()]
+}
+
+/**
+ * Format one record, quoting only the fields that need it
+ */
+function formatCsvRow(fields, options = {}) {
+  const delimiter = options.delimiter || ","
+  return fields
+    .map((value) => {
+      const field = value === undefined || value === null ? "" : String(value)
+      if (field.includes(delimiter) || /["\r\n]/.test(field) || field.trim() !== field) {
+        return `"${field.replace(/"/g, '""')}"`
+      }
+      return field
+    })
+    .join(delimiter)
+}
+
+/**
+ * Read CSV records from a file without loading it whole
+ * @param {string} filePath
+ * @param {Object} [options] - delimiter, encoding (default utf8)
+ * @returns {AsyncGenerator<string[]>}
+ */
+async function* readCsvRecords(filePath, options = {}) {
+  const encoding = options.encoding || "utf8"
+  if (!Buffer.isEncoding(encoding)) {
+    throw new Error(`Unsupported encoding: ${encoding}`)
+  }
+
+  const parser = new CsvParser(options)
+  let first = true
+
+  for await (let chunk of createReadStream(filePath, { encoding })) {
+    if (first) {
+      chunk = chunk.replace(/^\uFEFF/, "") // byte order mark
+      first = false
+    }
+    yield* parser.push(chunk)
+  }
+  yield* parser.end()
+}
+
+/**
+ * Name empty and repeated headers so every column has a unique key
+ */
+function uniqueHeaders(headers) {
+  const seen = new Map()
+  return headers.map((header, index) => {
+    const name = header.trim() || `Column ${index + 1}`
+    const count = (seen.get(name) || 0) + 1
+    seen.set(name, count)
+    return count > 1 ? `${name} (${count})` : name
+  })
+}
+
+/**
+ * Find the email column by header name (case-insensitive) or 0-based position.
+ * Without a choice, the first header that looks like an email column wins.
+ */
+function findColumn(headers, column) {
+  if (column === undefined || column === null || column === "") {
+    const index = headers.findIndex((header) => /^e-?mail( address)?$/i.test(header.trim()))
+    return index >= 0 ? index : 0
+  }
+
+  if (/^\d+$/.test(String(column))) {
+    return Number.parseInt(column)
+  }
+
+  const index = headers.findIndex((header) => header.trim().toLowerCase() === String(column).toLowerCase())
+  if (index < 0) {
+    throw new Error(`Column "${column}" not found (columns: ${headers.join(", ")})`)
+  }
+  return index
+}
+
+/**
+ * Parse a delimiter option: a single character, or "tab"
+ */
+function parseDelimiter(value) {
+  if (value === "tab" || value === "\\t") {
+    return "\t"
+  }
+  return value && value.length === 1 ? value : null
+}
+
+export { CsvParser, parseCsv, formatCsvRow, readCsvRecords, uniqueHeaders, findColumn, parseDelimiter }
@@ -0,0 +1,125 @@
+// Starting score by SMTP outcome, adjusted by the signals below (all configurable)
+const DEFAULT_WEIGHTS = {
+  valid: 100,
+  catchAll: 60,
+  temporaryFailure: 50,
+  unknown: 50,
+  disposable: -50,
+  role: -15,
+  freeProvider: -5,
+  implicitMx: -10,
+  typo: -30,
+}
+
+const DEFAULT_THRESHOLDS = {
+  deliverable: 80, // at or above: deliverable
+  undeliverable: 20, // at or below: undeliverable, anything between is risky
+}
+
+// Outcomes that settle the address as undeliverable whatever else we know
+const UNDELIVERABLE_STATUSES = {
+  invalid: "Mailbox rejected by the mail server",
+  mailbox_disabled: "Mailbox is disabled",
+  mailbox_full: "Mailbox is full and bounces mail",
+  invalid_format: "Address is not syntactically valid",
+  no_mx_record: "Domain has no mail server",
+  null_mx: "Domain publishes a null MX and accepts no mail",
+  domain_not_found: "Domain does not exist",
+  disposable: "Disposable email provider rejected by policy",
+  smtputf8_unsupported: "Mail server cannot accept this internationalized address",
+}
+
+// Outcomes that tell us nothing about the mailbox
+const UNKNOWN_STATUSES = {
+  error: "Verification error",
+  connection_failed: "Could not connect to any mail server",
+  connection_rejected: "Mail server refused the connection",
+  handshake_failed: "SMTP handshake failed",
+  mail_from_rejected: "Mail server rejected the sender",
+  blocked: "Mail server blocked the verifier (blocklist or policy)",
+  relay_denied: "Mail server does not accept mail for this domain",
+  unknown_response: "Unexpected SMTP response",
+  dns_error: "DNS lookup failed",
+  dns_timeout: "DNS lookup timed out",
+  rate_limited: "Not checked because of rate limiting",
+  tls_unavailable: "TLS required but not available",
+  tls_failed: "TLS negotiation failed",
+}
+
+/**
+ * Combines verification signals into a 0-100 score and a risk tier
+ */
+class DeliverabilityScorer {
+  constructor(options = {}) {
+    this.weights = { ...DEFAULT_WEIGHTS, ...options.scoreWeights }
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...options.scoreThresholds }
+  }
+
+  /**
+   * Score a verification result
+   * @param {Object} result - Result with status and classification fields
+   * @returns {Object} { score, tier, reasons } where tier is deliverable, risky, undeliverable or unknown
+   */
+  score(result) {
+    const reasons = []
+
+    if (UNDELIVERABLE_STATUSES[result.status]) {
+      return { score: 0, tier: "undeliverable", reasons: [UNDELIVERABLE_STATUSES[result.status]] }
+    }
+
+    let score
+    let tier = null
+
+    if (result.status === "valid") {
+      score = this.weights.valid
+      reasons.push("Mailbox accepted by the mail server")
+    } else if (result.status === "catch_all") {
+      score = this.weights.catchAll
+      reasons.push("Domain accepts all addresses (catch-all)")
+    } else if (result.status === "temporary_failure") {
+      score = this.weights.temporaryFailure
+      reasons.push("Temporary SMTP failure, retry later")
+    } else {
+      score = this.weights.unknown
+      tier = "unknown"
+      reasons.push(UNKNOWN_STATUSES[result.status] || `Unrecognized status: ${result.status}`)
+    }
+
+    if (result.isDisposable) {
+      score += this.weights.disposable
+      reasons.push("Disposable email provider")
+    }
+    if (result.isRole) {
+      score += this.weights.role
+      reasons.push("Role account, not a personal mailbox")
+    }
+    if (result.isFreeProvider) {
+      score += this.weights.freeProvider
+      reasons.push("Free email provider")
+    }
+    if (result.implicitMx) {
+      score += this.weights.implicitMx
+      reasons.push("No MX record, mail goes to the domain's A/AAAA host")
+    }
+    if (result.suggestion) {
+      score += this.weights.typo
+      reasons.push(`Possible domain typo, did you mean ${result.suggestion}?`)
+    }
+
+    score = Math.max(0, Math.min(100, Math.round(score)))
+
+    if (!tier) {
+      if (score >= this.thresholds.deliverable) {
+        tier = "deliverable"
+      } else if (score <= this.thresholds.undeliverable) {
+        tier = "undeliverable"
+      } else {
+        tier = "risky"
+      }
+    }
+
+    return { score, tier, reasons }
+  }
+}
+
+export { DeliverabilityScorer }
@@ -0,0 +1,73 @@
+import { join } from "path"
+import { DATA_DIR, readList } from "./list-loader.js"
+
+const DEFAULT_DOMAINS_FILE = join(DATA_DIR, "disposable-domains.txt")
+const DEFAULT_MX_HOSTS_FILE = join(DATA_DIR, "disposable-mx-hosts.txt")
+
+/**
+ * Check whether a host equals or is a subdomain of any entry in the set
+ */
+function matchesSuffix(host, entries) {
+  const labels = host.toLowerCase().replace(/\.$/, "").split(".")
+  for (let i = 0; i < labels.length - 1; i++) {
+    if (entries.has(labels.slice(i).join("."))) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Detects disposable / temporary email providers by domain and by MX host
+ */
+class DisposableDetector {
+  constructor(options = {}) {
+    this.domainsFile = options.disposableDomainsFile || DEFAULT_DOMAINS_FILE
+    this.mxHostsFile = options.disposableMxHostsFile || DEFAULT_MX_HOSTS_FILE
+    this.extraDomains = options.extraDisposableDomains || []
+    this.reload()
+  }
+
+  /**
+   * (Re)load the domain and MX host lists from disk
+   */
+  reload() {
+    this.domains = new Set([...readList(this.domainsFile), ...this.extraDomains.map((d) => d.toLowerCase())])
+    this.mxHosts = new Set(readList(this.mxHostsFile))
+  }
+
+  /**
+   * Check a domain against the disposable domain list
+   */
+  isDisposableDomain(domain) {
+    return Boolean(domain) && matchesSuffix(domain, this.domains)
+  }
+
+  /**
+   * Check whether any MX record points at known disposable mail infrastructure
+   */
+  isDisposableMx(mxRecords = []) {
+    return mxRecords.some((mx) => mx.exchange && matchesSuffix(mx.exchange, this.mxHosts))
+  }
+
+  /**
+   * Check a domain by name first, then by where its mail goes
+   */
+  isDisposable(domain, mxRecords) {
+    return this.isDisposableDomain(domain) || this.isDisposableMx(mxRecords)
+  }
+}
+
+let defaultDetector = null
+
+/**
+ * Get the detector for the bundled lists, loaded once per process
+ */
+function getDefaultDisposableDetector() {
+  if (!defaultDetector) {
+    defaultDetector = new DisposableDetector()
+  }
+  return defaultDetector
+}
+
+export { DisposableDetector, getDefaultDisposableDetector }
@@ -0,0 +1,169 @@
+import dns from "dns"
+
+// Answers that say the name or record does not exist are safe to cache; server failures are not
+const CACHEABLE_ERRORS = [dns.NOTFOUND, dns.NODATA]
+
+/**
+ * In-memory DNS answer cache that honours record TTLs
+ */
+class DnsCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxTtl] - Longest time an answer is kept, in seconds (default 3600)
+   * @param {number} [options.negativeTtl] - How long NXDOMAIN/NODATA is kept, in seconds (default 300)
+   * @param {number} [options.maxEntries] - Keep only the most recently used answers (default: no limit)
+   */
+  constructor(options = {}) {
+    this.maxTtl = options.maxTtl || 3600 // seconds
+    this.negativeTtl = options.negativeTtl || 300 // seconds
+    this.maxEntries = options.maxEntries || Infinity
+    this.entries = new Map() // in least recently used first order
+  }
+
+  /**
+   * Get a cached answer ({ value } or { error }) if it has not expired
+   */
+  get(key) {
+    const entry = this.entries.get(key)
+    if (!entry) {
+      return null
+    }
+    this.entries.delete(key)
+    if (entry.expiresAt <= Date.now()) {
+      return null
+    }
+    this.entries.set(key, entry)
+    return entry
+  }
+
+  /**
+   * Cache an answer for ttl seconds, capped at maxTtl
+   */
+  set(key, entry, ttl) {
+    const seconds = Math.min(ttl, this.maxTtl)
+    if (seconds > 0) {
+      this.entries.delete(key)
+      this.entries.set(key, { ...entry, expiresAt: Date.now() + seconds * 1000 })
+      if (this.entries.size > this.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value)
+      }
+    }
+  }
+
+  /**
+   * Drop every cached answer
+   */
+  clear() {
+    this.entries.clear()
+  }
+
+  get size() {
+    return this.entries.size
+  }
+}
+
+// Default cache shared by every verifier in the process
+const sharedDnsCache = new DnsCache()
+
+/**
+ * DNS resolver with custom nameservers, timeout, retries and a TTL cache
+ */
+class DnsResolver {
+  constructor(options = {}) {
+    this.resolver = new dns.promises.Resolver({
+      timeout: options.dnsTimeout || 5000,
+      tries: (options.dnsRetries ?? 2) + 1,
+    })
+
+    if (options.nameservers && options.nameservers.length > 0) {
+      this.resolver.setServers(options.nameservers)
+    }
+
+    // dnsCacheEntries gives this resolver a bounded cache of its own (a number crosses to worker threads)
+    if (options.dnsCache === false) {
+      this.cache = null
+    } else if (options.dnsCache) {
+      this.cache = options.dnsCache
+    } else {
+      this.cache = options.dnsCacheEntries ? new DnsCache({ maxEntries: options.dnsCacheEntries }) : sharedDnsCache
+    }
+    // The cache is shared, and other nameservers can give other answers for the same name
+    this.cacheScope = this.resolver.getServers().join(",")
+    // resolveMx does not expose record TTLs, so MX answers are kept for this long
+    this.defaultTtl = options.dnsDefaultTtl || 300 // seconds
+    this.inflight = new Map()
+  }
+
+  /**
+   * Resolve MX records for a domain
+   */
+  async resolveMx(domain) {
+    return this.lookup("MX", domain, async () => ({
+      value: await this.resolver.resolveMx(domain),
+      ttl: this.defaultTtl,
+    }))
+  }
+
+  /**
+   * Resolve IPv4 addresses for a domain
+   */
+  async resolve4(domain) {
+    return this.lookup("A", domain, () => this.resolveAddresses("resolve4", domain))
+  }
+
+  /**
+   * Resolve IPv6 addresses for a domain
+   */
+  async resolve6(domain) {
+    return this.lookup("AAAA", domain, () => this.resolveAddresses("resolve6", domain))
+  }
+
+  /**
+   * Resolve A/AAAA records keeping the lowest TTL of the answer set
+   */
+  async resolveAddresses(method, domain) {
+    const records = await this.resolver[method](domain, { ttl: true })
+    return {
+      value: records.map((record) => record.address),
+      ttl: records.length > 0 ? Math.min(...records.map((record) => record.ttl)) : this.defaultTtl,
+    }
+  }
+
+  /**
+   * Serve a query from cache, join an identical query in flight, or run it
+   */
+  async lookup(type, domain, query) {
+    const key = `${this.cacheScope}|${type}:${domain.toLowerCase()}`
+
+    const cached = this.cache && this.cache.get(key)
+    if (cached) {
+      if (cached.error) {
+        throw cached.error
+      }
+      return cached.value
+    }
+
+    if (!this.inflight.has(key)) {
+      const pending = query()
+        .then(({ value, ttl }) => {
+          this.cache?.set(key, { value }, ttl)
+          return value
+        })
+        .catch((error) => {
+          if (CACHEABLE_ERRORS.includes(error.code)) {
+            this.cache?.set(key, { error }, this.cache.negativeTtl)
+          }
+          throw error
+        })
+        .finally(() => {
+          this.inflight.delete(key)
+        })
+
+      this.inflight.set(key, pending)
+    }
+
+    return this.inflight.get(key)
+  }
+}
+
+export { DnsResolver, DnsCache, sharedDnsCache }
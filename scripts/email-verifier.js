@@ -1,15 +1,68 @@
 import net from "net"
+import tls from "tls"
 import dns from "dns"
-import { promisify } from "util"
+import crypto from "crypto"
+import { EventEmitter } from "events"
+import { DnsResolver } from "./dns-resolver.js"
+import { parseAddress } from "./address-parser.js"
+import { DisposableDetector, getDefaultDisposableDetector } from "./disposable-detector.js"
+import { AddressClassifier, getDefaultAddressClassifier } from "./address-classifier.js"
+import { TypoSuggester, getDefaultTypoSuggester } from "./typo-suggester.js"
+import { DeliverabilityScorer } from "./deliverability-scorer.js"
+import { loggerFor } from "./logger.js"
+import { classifyReply, isBlockReason } from "./smtp-status.js"
+import { CatchAllVerdicts } from "./catch-all-verdicts.js"
 
-const resolveMx = promisify(dns.resolveMx)
+// Permanent RCPT TO refusals that are not "no such mailbox"; any other 5xx reason is invalid
+const RECIPIENT_REFUSALS = {
+  mailbox_full: { isValid: false, status: "mailbox_full", message: "Mailbox is full" },
+  mailbox_disabled: { isValid: false, status: "mailbox_disabled", message: "Mailbox is disabled" },
+  relay_denied: { isValid: "unknown", status: "relay_denied", message: "Mail server refused to relay for this domain" },
+}
 
-class EmailVerifier {
+/**
+ * Events (from verifyMultiple unless noted):
+ *   batchStart { total }
+ *   result     { index, result }     each address as soon as its result is final
+ *   retry      { emails, mxHost, reason }  a session is repeated (any verification)
+ *   progress   { completed, total }
+ *   done       { results }
+ *   error      { error, emails }     an SMTP session failed; its addresses get error results
+ */
+class EmailVerifier extends EventEmitter {
   constructor(options = {}) {
+    super()
     this.timeout = options.timeout || 10000
     this.fromEmail = options.fromEmail || "test@example.com"
     this.maxRetries = options.maxRetries || 2
     this.debug = options.debug || false
+    this.logger = loggerFor(this.constructor.name, options)
+    this.detectCatchAll = options.detectCatchAll !== false
+    this.catchAllDomains = new CatchAllVerdicts({
+      ttl: options.cacheTtls?.catch_all,
+      maxDomains: options.maxCatchAllDomains,
+    })
+    this.tlsPolicy = options.tlsPolicy || "opportunistic" // opportunistic | required | disabled
+    this.tlsRejectUnauthorized = options.tlsRejectUnauthorized || false
+    this.recipientsPerSession = options.recipientsPerSession || 25
+    this.smtpPort = options.smtpPort || 25 // only ever changed to reach a local test server
+    // Record every SMTP command and reply as result.transcript (for audits and disputes with providers)
+    this.captureTranscript = options.captureTranscript || false
+    // Anything with resolveMx/resolve4/resolve6 works; the default shares one DNS cache per process
+    this.resolver = options.resolver || new DnsResolver(options)
+    this.disposableDetector =
+      options.disposableDetector ||
+      (options.disposableDomainsFile ? new DisposableDetector(options) : getDefaultDisposableDetector())
+    this.rejectDisposable = options.rejectDisposable || false
+    const customClassifierLists = ["roleAccounts", "freeProviders", "roleAccountsFile", "freeProvidersFile"]
+    this.addressClassifier =
+      options.addressClassifier ||
+      (customClassifierLists.some((key) => options[key])
+        ? new AddressClassifier(options)
+        : getDefaultAddressClassifier())
+    this.typoSuggester =
+      options.typoSuggester || (options.popularDomains ? new TypoSuggester(options) : getDefaultTypoSuggester())
+    this.scorer = options.scorer || new DeliverabilityScorer(options)
   }
 
   /**
@@ -19,178 +72,439 @@ class EmailVerifier {
    */
   async verifyEmail(email) {
     try {
-      // Validate email format
-      if (!this.isValidEmailFormat(email)) {
-        return {
+      const recipient = await this.prepareRecipient(email)
+      if (recipient.result) {
+        return this.enrichResult(recipient.result, recipient)
+      }
+
+      const [mxResult] = await this.verifyWithMxRecords([email], recipient.mxRecords)
+      return this.enrichResult(mxResult, recipient)
+    } catch (error) {
+      return this.enrichResult({
+        email,
+        isValid: false,
+        status: "error",
+        message: error.message,
+      })
+    }
+  }
+
+  /**
+   * Add the classification and scoring fields every result carries
+   * @param {Object} result - Verification result
+   * @param {Object} [recipient] - Output of prepareRecipient for the same email, if available
+   * @returns {Object} Result with classification fields, score, tier and reasons
+   */
+  enrichResult(result, recipient = {}) {
+    const parsed = recipient.parsed || parseAddress(result.email)
+    const isDisposable = recipient.isDisposable ?? this.disposableDetector.isDisposableDomain(parsed.asciiDomain)
+
+    const classified = {
+      ...result,
+      // Recipients sharing a session may come from different domains, so this is per recipient
+      ...(recipient.mxRecords?.[0]?.implicit && { implicitMx: true }),
+      isDisposable,
+      isRole: this.addressClassifier.isRole(parsed.localPart),
+      isFreeProvider: this.addressClassifier.isFreeProvider(parsed.asciiDomain),
+      suggestion: parsed.valid ? this.typoSuggester.suggest(parsed.localPart, parsed.asciiDomain) : null,
+    }
+
+    return { ...classified, ...this.scorer.score(classified) }
+  }
+
+  /**
+   * Validate format and resolve MX records before any SMTP work
+   * @param {string} email - Email to check
+   * @param {Map} [lookups] - Pending MX lookups by domain, shared across a batch
+   * @returns {Promise<Object>} { parsed, mxRecords, isDisposable }, plus { result } when the email fails early
+   */
+  async prepareRecipient(email, lookups = new Map()) {
+    // Validate email format
+    const parsed = parseAddress(email)
+    if (!parsed.valid) {
+      return {
+        result: {
           email,
           isValid: false,
           status: "invalid_format",
-          message: "Invalid email format",
-        }
+          message: `Invalid email format: ${parsed.reason}`,
+          formatError: parsed.rule,
+        },
       }
+    }
 
-      const domain = email.split("@")[1]
+    // Address literals name the mail host directly, no DNS involved
+    if (parsed.domainLiteral) {
+      return {
+        parsed,
+        mxRecords: [{ exchange: parsed.domainLiteral, priority: 0, implicit: true }],
+        isDisposable: false,
+      }
+    }
 
-      // Get MX records
-      const mxRecords = await this.getMxRecords(domain)
-      if (!mxRecords || mxRecords.length === 0) {
-        return {
+    const domain = parsed.asciiDomain
+
+    // Get MX records
+    if (!lookups.has(domain)) {
+      lookups.set(domain, this.resolveMailServers(domain))
+    }
+    const lookup = await lookups.get(domain)
+    const isDisposable = this.disposableDetector.isDisposable(domain, lookup.mxRecords)
+
+    if (!lookup.mxRecords) {
+      return {
+        parsed,
+        isDisposable,
+        result: {
           email,
           isValid: false,
-          status: "no_mx_record",
-          message: "No MX record found for domain",
-        }
+          status: lookup.status,
+          message: lookup.message,
+          ...(lookup.dnsError && { dnsError: lookup.dnsError }),
+        },
       }
+    }
 
-      // Try verification with each MX record
-      for (const mx of mxRecords) {
-        try {
-          const result = await this.verifyWithMxRecord(email, mx.exchange)
-          if (result.status !== "connection_failed") {
-            return result
+    // No point probing a mailbox the caller will reject anyway
+    if (isDisposable && this.rejectDisposable) {
+      return {
+        parsed,
+        isDisposable,
+        result: {
+          email,
+          isValid: false,
+          status: "disposable",
+          message: "Disposable email provider",
+        },
+      }
+    }
+
+    return { parsed, mxRecords: lookup.mxRecords, isDisposable }
+  }
+
+  /**
+   * Verify recipients against MX records in priority order, moving to the next
+   * host only for the recipients whose connection failed
+   * @param {string[]} emails - Emails sharing the same mail servers
+   * @param {Object[]} mxRecords - MX records sorted by priority
+   * @returns {Promise<Object[]>} Results in the same order as emails
+   */
+  async verifyWithMxRecords(emails, mxRecords) {
+    const results = new Array(emails.length)
+    let pending = emails.map((email, index) => ({ email, index }))
+    // Transcripts of sessions that gave the pending recipients no answer, kept with the final result
+    const earlier = new Set()
+    const keepTranscripts = (result) => result.transcript?.forEach((transcript) => earlier.add(transcript))
+
+    for (const mx of mxRecords) {
+      if (pending.length === 0) {
+        break
+      }
+
+      const batch = pending.map(({ email }) => email)
+
+      try {
+        let mxResults = await this.verifyRecipientsWithMxRecord(batch, mx.exchange)
+
+        // A broken TLS stack should not hide the mailbox when encryption is optional
+        if (mxResults.some((r) => r.status === "tls_failed") && this.tlsPolicy === "opportunistic") {
+          this.logger.debug("TLS failed, retrying without STARTTLS", { mxHost: mx.exchange, step: "tls_handshake" })
+          this.emit("retry", { emails: batch, mxHost: mx.exchange, reason: "tls_failed" })
+          mxResults.forEach(keepTranscripts)
+          mxResults = await this.verifyRecipientsWithMxRecord(batch, mx.exchange, {
+            tlsPolicy: "disabled",
+            tlsFallback: true,
+          })
+        }
+
+        const prior = [...earlier]
+        pending = pending.filter(({ index }, j) => {
+          const result = mxResults[j]
+          if (result.status === "connection_failed") {
+            keepTranscripts(result)
+            return true
           }
-        } catch (error) {
-          this.log(`Failed to verify with MX ${mx.exchange}: ${error.message}`)
-          continue
+          results[index] =
+            prior.length > 0 && result.transcript ? { ...result, transcript: [...prior, ...result.transcript] } : result
+          return false
+        })
+      } catch (error) {
+        this.logger.debug("Verification with MX host failed", { mxHost: mx.exchange, error })
+        if (error.transcript) {
+          earlier.add(error.transcript)
         }
+        continue
       }
+    }
 
-      return {
+    for (const { email, index } of pending) {
+      results[index] = {
         email,
         isValid: false,
         status: "connection_failed",
         message: "Could not connect to any mail server",
-      }
-    } catch (error) {
-      return {
-        email,
-        isValid: false,
-        status: "error",
-        message: error.message,
+        ...(earlier.size > 0 && { transcript: [...earlier] }),
       }
     }
+
+    return results
   }
 
   /**
    * Verify email with specific MX record
    * @param {string} email - Email to verify
    * @param {string} mxHost - MX host to connect to
+   * @param {Object} [options] - Per-connection overrides (tlsPolicy)
    * @returns {Promise<Object>} Verification result
    */
-  async verifyWithMxRecord(email, mxHost) {
+  async verifyWithMxRecord(email, mxHost, options = {}) {
+    const [result] = await this.verifyRecipientsWithMxRecord([email], mxHost, options)
+    return result
+  }
+
+  /**
+   * Verify several recipients over a single SMTP session with one MX host
+   * @param {string[]} emails - Emails to check with RCPT TO, in order
+   * @param {string} mxHost - MX host to connect to
+   * @param {Object} [options] - Per-connection overrides (tlsPolicy, captureTranscript); tlsFallback marks
+   *   the retry without TLS of a session that just failed
+   * @returns {Promise<Object[]>} One result per email, in the same order
+   */
+  async verifyRecipientsWithMxRecord(emails, mxHost, options = {}) {
+    const capture = options.captureTranscript ?? this.captureTranscript
+
     return new Promise((resolve, reject) => {
-      const socket = new net.Socket()
-      let response = ""
-      let step = "connect"
+      const session = {
+        socket: new net.Socket(),
+        recipients: emails,
+        envelopes: emails.map((email) => parseAddress(email)),
+        results: [],
+        get email() {
+          return this.recipients[this.results.length]
+        },
+        get envelope() {
+          return this.envelopes[this.results.length]
+        },
+        mxHost,
+        step: "connect",
+        tlsPolicy: options.tlsPolicy || this.tlsPolicy,
+        buffer: "",
+        replyLines: [],
+        capabilities: null,
+        tls: null,
+        probeAddress: null,
+        acceptedResponse: null,
+        transactionRecipients: 0,
+        transcript: capture
+          ? { mxHost, remoteAddress: null, remotePort: null, startedAt: new Date().toISOString(), entries: [] }
+          : null,
+      }
       let isResolved = false
 
       const cleanup = () => {
-        if (!socket.destroyed) {
-          socket.destroy()
+        clearTimeout(timeoutId)
+        if (!session.socket.destroyed) {
+          session.socket.destroy()
+        }
+        if (session.transcript) {
+          session.transcript.endedAt = new Date().toISOString()
         }
       }
 
-      const resolveOnce = (result) => {
+      // Ends the session; a session-level failure applies to every recipient not yet checked
+      const finish = (failure) => {
         if (!isResolved) {
           isResolved = true
           cleanup()
-          resolve(result)
+
+          const results = emails.map((email, index) => session.results[index] || { ...failure, email })
+          resolve(
+            results.map((result) => ({
+              ...result,
+              ...(session.capabilities && { capabilities: session.capabilities }),
+              ...(session.tls && { tls: session.tls }),
+              ...(session.transcript && { transcript: [session.transcript] }),
+            })),
+          )
         }
       }
 
       const rejectOnce = (error) => {
-        if (!isResolved) {
-          isResolved = true
-          cleanup()
-          reject(error)
+        if (isResolved) {
+          return
+        }
+        this.recordTranscript(session, "event", [error.message])
+
+        // Keep the answers we already have and let the caller retry the rest elsewhere
+        if (session.results.length > 0) {
+          finish({
+            isValid: false,
+            status: "connection_failed",
+            message: `Connection lost: ${error.message}`,
+          })
+          return
+        }
+
+        isResolved = true
+        cleanup()
+        if (session.transcript) {
+          error.transcript = session.transcript
         }
+        reject(error)
       }
 
-      // Set timeout
+      // Each recipient may take a full timeout (tarpitting servers slow down RCPT replies)
       const timeoutId = setTimeout(() => {
         rejectOnce(new Error("Connection timeout"))
-      }, this.timeout)
+      }, this.timeout * emails.length)
 
-      socket.setTimeout(this.timeout)
-
-      socket.on("connect", () => {
-        this.log(`Connected to ${mxHost}`)
-      })
-
-      socket.on("data", (data) => {
-        response += data.toString()
+      const onData = (data) => {
+        session.buffer += data.toString()
 
         // Process complete lines
-        const lines = response.split("\r\n")
-        response = lines.pop() || "" // Keep incomplete line
+        const lines = session.buffer.split("\r\n")
+        session.buffer = lines.pop() || "" // Keep incomplete line
 
         for (const line of lines) {
-          if (line.trim()) {
-            this.log(`Received: ${line}`)
-            this.handleSmtpResponse(socket, line, email, step, resolveOnce)
-            step = this.getNextStep(step, line)
-          }
+          if (!line.trim()) continue
+
+          this.logger.trace(`Received: ${line}`, this.sessionFields(session))
+          session.replyLines.push(line)
+
+          // "250-..." continues a multiline reply, "250 ..." ends it
+          if (line.charAt(3) === "-") continue
+
+          this.recordTranscript(session, "received", session.replyLines)
+          const reply = this.parseReply(session.replyLines)
+          session.replyLines = []
+          this.handleSmtpResponse(session, reply, finish)
         }
-      })
+      }
 
-      socket.on("error", (error) => {
-        this.log(`Socket error: ${error.message}`)
+      const onError = (error) => {
+        this.logger.debug("Socket error", { ...this.sessionFields(session), error })
+        if (session.step === "tls_handshake") {
+          this.recordTranscript(session, "event", [`TLS negotiation failed: ${error.message.trim()}`])
+          finish({
+            isValid: false,
+            status: "tls_failed",
+            message: `TLS negotiation failed: ${error.message.trim()}`,
+          })
+          return
+        }
         rejectOnce(error)
-      })
+      }
 
-      socket.on("timeout", () => {
-        rejectOnce(new Error("Socket timeout"))
-      })
+      session.attachSocket = (socket) => {
+        session.socket = socket
+        socket.setTimeout(this.timeout)
+        socket.on("data", onData)
+        socket.on("error", onError)
+        socket.on("timeout", () => {
+          rejectOnce(new Error("Socket timeout"))
+        })
+        socket.on("close", () => {
+          if (!isResolved && socket === session.socket) {
+            rejectOnce(new Error("Connection closed unexpectedly"))
+          }
+        })
+      }
 
-      socket.on("close", () => {
-        if (!isResolved) {
-          rejectOnce(new Error("Connection closed unexpectedly"))
+      session.attachSocket(session.socket)
+
+      session.socket.on("connect", () => {
+        this.logger.debug("Connected", this.sessionFields(session))
+        if (session.transcript) {
+          const { remoteAddress, remotePort } = session.socket
+          Object.assign(session.transcript, { remoteAddress, remotePort })
+          this.recordTranscript(session, "event", [`Connected to ${remoteAddress}:${remotePort}`])
         }
       })
 
       // Connect to MX server
-      socket.connect(25, mxHost)
-
-      // Cleanup timeout when done
-      socket.on("end", () => {
-        clearTimeout(timeoutId)
-      })
+      session.socket.connect(this.smtpPort, mxHost)
     })
   }
 
   /**
-   * Handle SMTP responses and send appropriate commands
+   * Collapse the lines of a (possibly multiline) SMTP reply
+   */
+  parseReply(lines) {
+    const code = Number.parseInt(lines[0].substring(0, 3))
+    const text = lines.map((line) => line.substring(4)).join(" ")
+
+    return {
+      code,
+      lines,
+      line: lines.length === 1 ? lines[0] : `${code} ${text}`,
+    }
+  }
+
+  /**
+   * Parse EHLO extension lines into a capability map, e.g. { SIZE: "35882577", STARTTLS: true }
    */
-  handleSmtpResponse(socket, line, email, step, resolve) {
-    const code = Number.parseInt(line.substring(0, 3))
+  parseEhloCapabilities(lines) {
+    const capabilities = {}
 
-    switch (step) {
+    // The first line is the server greeting, extensions follow
+    for (const line of lines.slice(1)) {
+      const [keyword, ...params] = line.substring(4).trim().split(/\s+/)
+      if (keyword) {
+        capabilities[keyword.toUpperCase()] = params.length > 0 ? params.join(" ") : true
+      }
+    }
+
+    return capabilities
+  }
+
+  /**
+   * Handle SMTP replies and send appropriate commands
+   * @param {Object} session - SMTP session state
+   * @param {Object} reply - Parsed reply from parseReply
+   * @param {Function} resolve - Ends the session, applying a failure result to unchecked recipients
+   */
+  handleSmtpResponse(session, reply, resolve) {
+    const { email, envelope } = session
+    const { code, line } = reply
+
+    switch (session.step) {
       case "connect":
         if (code === 220) {
-          this.sendCommand(socket, `EHLO ${this.getLocalHostname()}`)
+          this.sendCommand(session, `EHLO ${this.getLocalHostname()}`, "ehlo")
         } else {
-          resolve({
-            email,
-            isValid: false,
-            status: "connection_rejected",
-            message: `Connection rejected: ${line}`,
-            smtpResponse: line,
-          })
+          resolve(this.createSessionRefusal(email, reply, "connection_rejected", "Connection rejected"))
         }
         break
 
       case "ehlo":
         if (code === 250) {
-          this.sendCommand(socket, `MAIL FROM:<${this.fromEmail}>`)
+          session.capabilities = this.parseEhloCapabilities(reply.lines)
+
+          if (!session.tls && session.tlsPolicy !== "disabled") {
+            if (session.capabilities.STARTTLS) {
+              this.sendCommand(session, "STARTTLS", "starttls")
+              break
+            }
+            if (session.tlsPolicy === "required") {
+              resolve(this.createTlsUnavailableResult(email, "Server does not offer STARTTLS"))
+              break
+            }
+          }
+
+          this.sendMailFrom(session)
         } else {
           // Try HELO if EHLO fails
-          this.sendCommand(socket, `HELO ${this.getLocalHostname()}`)
+          this.sendCommand(session, `HELO ${this.getLocalHostname()}`, "helo")
         }
         break
 
       case "helo":
         if (code === 250) {
-          this.sendCommand(socket, `MAIL FROM:<${this.fromEmail}>`)
+          if (session.tlsPolicy === "required") {
+            resolve(this.createTlsUnavailableResult(email, "Server does not support EHLO/STARTTLS"))
+            break
+          }
+          this.sendMailFrom(session)
         } else {
           resolve({
             email,
@@ -202,100 +516,434 @@ class EmailVerifier {
         }
         break
 
+      case "starttls":
+        if (code === 220) {
+          this.upgradeToTls(session)
+        } else if (session.tlsPolicy === "required") {
+          resolve(this.createTlsUnavailableResult(email, `STARTTLS rejected: ${line}`, line))
+        } else {
+          this.logger.debug("STARTTLS rejected, continuing without TLS", {
+            ...this.sessionFields(session),
+            reply: line,
+          })
+          this.sendMailFrom(session)
+        }
+        break
+
       case "mail_from":
         if (code === 250) {
-          this.sendCommand(socket, `RCPT TO:<${email}>`)
+          session.transactionRecipients = 0
+          this.sendRecipient(session, resolve)
+        } else {
+          resolve(this.createSessionRefusal(email, reply, "mail_from_rejected", "MAIL FROM rejected"))
+        }
+        break
+
+      case "rset":
+        if (code === 250) {
+          this.sendMailFrom(session)
         } else {
           resolve({
-            email,
             isValid: false,
-            status: "mail_from_rejected",
-            message: `MAIL FROM rejected: ${line}`,
+            status: "connection_failed",
+            message: `RSET rejected: ${line}`,
             smtpResponse: line,
           })
         }
         break
 
       case "rcpt_to":
-        this.sendCommand(socket, "QUIT")
+        // The transaction is full, start a new one and ask again for this recipient
+        if (code === 452 && session.transactionRecipients > 1) {
+          this.sendCommand(session, "RSET", "rset")
+          break
+        }
+
+        if (code === 250 && this.detectCatchAll) {
+          const domain = envelope.asciiDomain
+          const isCatchAll = this.catchAllDomains.get(domain)
+
+          // Unknown domain: probe an address that cannot exist before trusting the 250
+          if (isCatchAll === undefined) {
+            session.acceptedResponse = line
+            session.probeAddress = this.generateProbeAddress(domain)
+            session.transactionRecipients++
+            this.sendCommand(session, `RCPT TO:<${session.probeAddress}>`, "catch_all_probe")
+            break
+          }
+
+          if (isCatchAll) {
+            this.completeRecipient(session, this.createCatchAllResult(email, line), resolve)
+            break
+          }
+        }
 
         if (code === 250) {
-          resolve({
+          this.completeRecipient(
+            session,
+            {
+              email,
+              isValid: true,
+              status: "valid",
+              message: "Email address is valid",
+              smtpResponse: line,
+              catchAll: this.detectCatchAll ? false : undefined,
+            },
+            resolve,
+          )
+        } else {
+          this.completeRecipient(session, this.createRecipientFailure(email, reply), resolve)
+        }
+        break
+
+      case "catch_all_probe": {
+        const domain = envelope.asciiDomain
+
+        // Only a definite answer is remembered; 4xx on the probe says nothing about the domain
+        if (code === 250) {
+          this.catchAllDomains.set(domain, true)
+          this.completeRecipient(session, this.createCatchAllResult(email, session.acceptedResponse), resolve)
+          break
+        }
+        // A refusal aimed at us (blocklist, policy) does not show that the domain rejects unknown users
+        const refusal = code >= 500 && code <= 599 ? this.createRecipientFailure(email, reply) : null
+        const rejectsUnknown = refusal?.status === "invalid"
+        if (rejectsUnknown) {
+          this.catchAllDomains.set(domain, false)
+        }
+
+        this.completeRecipient(
+          session,
+          {
             email,
             isValid: true,
             status: "valid",
             message: "Email address is valid",
-            smtpResponse: line,
-          })
-        } else if (code >= 500 && code <= 599) {
-          resolve({
-            email,
-            isValid: false,
-            status: "invalid",
-            message: `Email address rejected: ${line}`,
-            smtpResponse: line,
-          })
-        } else if (code >= 400 && code <= 499) {
-          resolve({
-            email,
-            isValid: false,
-            status: "temporary_failure",
-            message: `Temporary failure: ${line}`,
-            smtpResponse: line,
-          })
-        } else {
-          resolve({
-            email,
-            isValid: false,
-            status: "unknown_response",
-            message: `Unknown response: ${line}`,
-            smtpResponse: line,
-          })
-        }
+            smtpResponse: session.acceptedResponse,
+            catchAll: rejectsUnknown ? false : undefined,
+          },
+          resolve,
+        )
         break
+      }
     }
   }
 
   /**
-   * Get next step based on current step and response
+   * Send MAIL FROM, asking for SMTPUTF8 when a recipient has a UTF-8 local part
    */
-  getNextStep(currentStep, response) {
-    const code = Number.parseInt(response.substring(0, 3))
+  sendMailFrom(session) {
+    const needsUtf8 = session.envelopes.some((envelope) => envelope.requiresSmtpUtf8)
+    const param = needsUtf8 && session.capabilities?.SMTPUTF8 ? " SMTPUTF8" : ""
+    this.sendCommand(session, `MAIL FROM:<${this.fromEmail}>${param}`, "mail_from")
+  }
 
-    switch (currentStep) {
-      case "connect":
-        return "ehlo"
-      case "ehlo":
-        return code === 250 ? "mail_from" : "helo"
-      case "helo":
-        return "mail_from"
-      case "mail_from":
-        return "rcpt_to"
-      case "rcpt_to":
-        return "quit"
-      default:
-        return currentStep
+  /**
+   * Send RCPT TO for the session's current recipient
+   */
+  sendRecipient(session, resolve) {
+    session.probeAddress = null
+    session.acceptedResponse = null
+
+    // A UTF-8 mailbox cannot be named to a server without SMTPUTF8 (RFC 6531)
+    if (session.envelope.requiresSmtpUtf8 && !session.capabilities?.SMTPUTF8) {
+      this.completeRecipient(
+        session,
+        {
+          email: session.email,
+          isValid: false,
+          status: "smtputf8_unsupported",
+          message: "Mail server does not support SMTPUTF8, required for this internationalized address",
+        },
+        resolve,
+      )
+      return
     }
+
+    session.transactionRecipients++
+    this.sendCommand(session, `RCPT TO:<${session.envelope.address}>`, "rcpt_to")
+  }
+
+  /**
+   * Record the current recipient's result, then check the next one or QUIT
+   */
+  completeRecipient(session, result, resolve) {
+    session.results.push(result)
+
+    if (session.results.length < session.recipients.length) {
+      this.sendRecipient(session, resolve)
+      return
+    }
+
+    this.sendCommand(session, "QUIT", "quit")
+    resolve()
+  }
+
+  /**
+   * Upgrade the session socket to TLS after a 220 reply to STARTTLS
+   */
+  upgradeToTls(session) {
+    const plainSocket = session.socket
+    plainSocket.removeAllListeners("data")
+    plainSocket.removeAllListeners("timeout")
+    session.step = "tls_handshake"
+
+    const tlsSocket = tls.connect({
+      socket: plainSocket,
+      // SNI must not be an IP address
+      servername: net.isIP(session.mxHost) ? undefined : session.mxHost,
+      rejectUnauthorized: this.tlsRejectUnauthorized,
+    })
+
+    session.attachSocket(tlsSocket)
+
+    tlsSocket.once("secureConnect", () => {
+      session.tls = this.describeTlsSession(tlsSocket)
+      this.logger.debug("TLS established", {
+        ...this.sessionFields(session),
+        version: session.tls.version,
+        cipher: session.tls.cipher,
+      })
+      this.recordTranscript(session, "event", [`TLS established (${session.tls.version}, ${session.tls.cipher})`])
+
+      // Capabilities must be discarded and re-learned over the encrypted channel (RFC 3207)
+      session.capabilities = null
+      this.sendCommand(session, `EHLO ${this.getLocalHostname()}`, "ehlo")
+    })
   }
 
   /**
-   * Send SMTP command
+   * Describe the negotiated TLS session and peer certificate
    */
-  sendCommand(socket, command) {
-    this.log(`Sending: ${command}`)
-    socket.write(command + "\r\n")
+  describeTlsSession(tlsSocket) {
+    const cert = tlsSocket.getPeerCertificate()
+    const hasCert = cert && Object.keys(cert).length > 0
+
+    return {
+      version: tlsSocket.getProtocol(),
+      cipher: tlsSocket.getCipher()?.name || null,
+      authorized: tlsSocket.authorized,
+      authorizationError: tlsSocket.authorizationError ? String(tlsSocket.authorizationError) : null,
+      certificate: hasCert
+        ? {
+            subject: cert.subject?.CN || null,
+            subjectAltName: cert.subjectaltname || null,
+            issuer: cert.issuer?.O || cert.issuer?.CN || null,
+            validFrom: cert.valid_from,
+            validTo: cert.valid_to,
+            serialNumber: cert.serialNumber,
+            fingerprint256: cert.fingerprint256,
+          }
+        : null,
+    }
+  }
+
+  /**
+   * Build the result for a session that could not satisfy the "required" TLS policy
+   */
+  createTlsUnavailableResult(email, reason, line) {
+    return {
+      email,
+      isValid: false,
+      status: "tls_unavailable",
+      message: `TLS required but unavailable: ${reason}`,
+      smtpResponse: line,
+    }
+  }
+
+  /**
+   * Build the result for an address on a domain that accepts every recipient
+   */
+  createCatchAllResult(email, line) {
+    return {
+      email,
+      isValid: "unknown",
+      status: "catch_all",
+      message: "Domain accepts all addresses (catch-all), mailbox existence cannot be confirmed",
+      smtpResponse: line,
+      catchAll: true,
+    }
+  }
+
+  /**
+   * Result for a recipient the server did not accept, with the reason read from the
+   * enhanced status code or wording of the reply. A permanent refusal of the verifier
+   * itself (blocklisted IP, policy, throttling) is "blocked", never "invalid".
+   */
+  createRecipientFailure(email, reply) {
+    const { code, line } = reply
+    const { reason, enhancedCode } = classifyReply(reply)
+    const details = { email, smtpResponse: line, reason, enhancedCode }
+
+    if (code >= 400 && code <= 499) {
+      return { ...details, isValid: false, status: "temporary_failure", message: `Temporary failure: ${line}` }
+    }
+    if (code < 500 || code > 599) {
+      return { ...details, isValid: false, status: "unknown_response", message: `Unknown response: ${line}` }
+    }
+    if (isBlockReason(reason)) {
+      return { ...details, isValid: "unknown", status: "blocked", message: `Blocked by the mail server: ${line}` }
+    }
+    if (RECIPIENT_REFUSALS[reason]) {
+      const { message, ...refusal } = RECIPIENT_REFUSALS[reason]
+      return { ...details, ...refusal, message: `${message}: ${line}` }
+    }
+    return { ...details, isValid: false, status: "invalid", message: `Email address rejected: ${line}` }
+  }
+
+  /**
+   * Result for a greeting or MAIL FROM the server refused, for every recipient of the
+   * session: a permanent block of the verifier is "blocked"; a 421 greeting or a
+   * greylisted or throttled MAIL FROM is a temporary failure, retried like a 4xx on RCPT TO
+   */
+  createSessionRefusal(email, reply, status, label) {
+    const { code, line } = reply
+    const { reason, enhancedCode } = classifyReply(reply)
+    const details = { email, smtpResponse: line, reason, enhancedCode }
+
+    if (code >= 500 && code <= 599 && isBlockReason(reason)) {
+      return { ...details, isValid: "unknown", status: "blocked", message: `Blocked by the mail server: ${line}` }
+    }
+    // A 4xx naming a blocklist or policy lasts until the block is lifted, retrying does not help
+    if (code >= 400 && code <= 499 && !["ip_blocklisted", "policy_block"].includes(reason)) {
+      const message = `${label}, temporary failure: ${line}`
+      return { ...details, isValid: false, status: "temporary_failure", message }
+    }
+    return { ...details, isValid: false, status, message: `${label}: ${line}` }
+  }
+
+  /**
+   * Generate a random address on the domain that should never exist
+   */
+  generateProbeAddress(domain) {
+    return `${crypto.randomBytes(12).toString("hex")}@${domain}`
+  }
+
+  /**
+   * Send SMTP command and move the session to the step awaiting its reply
+   */
+  sendCommand(session, command, nextStep) {
+    this.logger.trace(`Sending: ${command}`, this.sessionFields(session))
+    this.recordTranscript(session, "sent", [command])
+    session.socket.write(command + "\r\n")
+    session.step = nextStep
+  }
+
+  /**
+   * Add an entry to the session transcript, if one is being recorded
+   * @param {Object} session - SMTP session state
+   * @param {string} direction - sent, received or event (connect, TLS, errors)
+   * @param {string[]} lines - Command, reply lines or event description
+   */
+  recordTranscript(session, direction, lines) {
+    session.transcript?.entries.push({ time: new Date().toISOString(), direction, lines: [...lines] })
   }
 
   /**
    * Get MX records for domain
    */
   async getMxRecords(domain) {
+    const { mxRecords } = await this.resolveMailServers(domain)
+    return mxRecords || null
+  }
+
+  /**
+   * Resolve the hosts that accept mail for a domain. Without MX records the domain's
+   * own A/AAAA host is used (RFC 5321 implicit MX); a lone "0 ." record means the
+   * domain accepts no mail at all (RFC 7505 null MX)
+   * @param {string} domain - Domain to resolve
+   * @returns {Promise<Object>} { mxRecords } sorted by priority, or { status, message, dnsError }
+   */
+  async resolveMailServers(domain) {
+    let records = []
+
+    try {
+      records = await this.resolver.resolveMx(domain)
+    } catch (error) {
+      if (error.code !== dns.NODATA) {
+        this.logger.debug("MX lookup failed", { domain, step: "dns", error })
+        return this.createDnsFailure(error)
+      }
+    }
+
+    // Node reports the "." exchange of a null MX as an empty string
+    const isNullMx = (record) => record.exchange === "" || record.exchange === "."
+    if (records.length > 0 && records.every(isNullMx)) {
+      return {
+        status: "null_mx",
+        message: "Domain does not accept email (null MX)",
+      }
+    }
+
+    const mxRecords = records.filter((record) => !isNullMx(record)).sort((a, b) => a.priority - b.priority)
+    if (mxRecords.length > 0) {
+      return { mxRecords }
+    }
+
     try {
-      const records = await resolveMx(domain)
-      return records.sort((a, b) => a.priority - b.priority)
+      if (await this.hasAddressRecord(domain)) {
+        this.logger.debug("No MX, using the A/AAAA record as implicit MX", { domain, step: "dns" })
+        return { mxRecords: [{ exchange: domain, priority: 0, implicit: true }] }
+      }
     } catch (error) {
-      this.log(`MX lookup failed for ${domain}: ${error.message}`)
-      return null
+      this.logger.debug("Address lookup failed", { domain, step: "dns", error })
+      return this.createDnsFailure(error)
+    }
+
+    return {
+      status: "no_mx_record",
+      message: "No MX or A/AAAA record found for domain",
+    }
+  }
+
+  /**
+   * Check whether a domain has an A or AAAA record
+   */
+  async hasAddressRecord(domain) {
+    for (const method of ["resolve4", "resolve6"]) {
+      try {
+        const addresses = await this.resolver[method](domain)
+        if (addresses.length > 0) {
+          return true
+        }
+      } catch (error) {
+        if (error.code !== dns.NODATA) {
+          throw error
+        }
+      }
+    }
+    return false
+  }
+
+  /**
+   * Map a DNS error to a lookup failure, separating NXDOMAIN, SERVFAIL and timeouts
+   */
+  createDnsFailure(error) {
+    switch (error.code) {
+      case dns.NOTFOUND:
+        return {
+          status: "domain_not_found",
+          message: "Domain does not exist (NXDOMAIN)",
+          dnsError: error.code,
+        }
+      case dns.TIMEOUT:
+        return {
+          status: "dns_timeout",
+          message: "DNS lookup timed out",
+          dnsError: error.code,
+        }
+      case dns.SERVFAIL:
+        return {
+          status: "dns_error",
+          message: "DNS server failed to answer (SERVFAIL)",
+          dnsError: error.code,
+        }
+      default:
+        return {
+          status: "dns_error",
+          message: `DNS lookup failed: ${error.code || error.message}`,
+          dnsError: error.code || null,
+        }
     }
   }
 
@@ -303,8 +951,7 @@ class EmailVerifier {
    * Validate email format
    */
   isValidEmailFormat(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    return emailRegex.test(email)
+    return parseAddress(email).valid
   }
 
   /**
@@ -315,47 +962,106 @@ class EmailVerifier {
   }
 
   /**
-   * Log debug messages
+   * Context fields for log entries about an SMTP session
    */
-  log(message) {
-    if (this.debug) {
-      console.log(`[EmailVerifier] ${message}`)
-    }
+  sessionFields(session) {
+    return { email: session.email, mxHost: session.mxHost, step: session.step }
   }
 
   /**
-   * Verify multiple emails with rate limiting
+   * Verify multiple emails, grouping recipients by MX host so each SMTP session
+   * checks up to recipientsPerSession addresses
+   * @param {string[]} emails - Emails to verify
+   * @param {Object} [options] - concurrency (parallel sessions) and delay between rounds
+   * @returns {Promise<Object[]>} Results in the same order as emails
    */
   async verifyMultiple(emails, options = {}) {
     const concurrency = options.concurrency || 5
     const delay = options.delay || 1000
-    const results = []
+    const results = new Array(emails.length)
+    const recipients = new Array(emails.length)
+    const lookups = new Map()
+    const groups = new Map() // primary MX host -> { mxRecords, entries }
+    let completed = 0
+    this.emit("batchStart", { total: emails.length })
 
-    for (let i = 0; i < emails.length; i += concurrency) {
-      const batch = emails.slice(i, i + concurrency)
-      const batchPromises = batch.map((email) => this.verifyEmail(email))
+    const finish = (index, result) => {
+      results[index] = this.enrichResult(result, recipients[index])
+      completed++
+      this.emit("result", { index, result: results[index] })
+      this.emit("progress", { completed, total: emails.length })
+    }
 
-      const batchResults = await Promise.allSettled(batchPromises)
+    await Promise.all(
+      emails.map(async (email, index) => {
+        try {
+          const recipient = await this.prepareRecipient(email, lookups)
+          recipients[index] = recipient
+          if (recipient.result) {
+            finish(index, recipient.result)
+            return
+          }
 
-      for (const result of batchResults) {
-        if (result.status === "fulfilled") {
-          results.push(result.value)
-        } else {
-          results.push({
-            email: "unknown",
+          const { mxRecords } = recipient
+          const mxHost = mxRecords[0].exchange.toLowerCase()
+          if (!groups.has(mxHost)) {
+            groups.set(mxHost, { mxRecords, entries: [] })
+          }
+          groups.get(mxHost).entries.push({ email, index })
+        } catch (error) {
+          finish(index, {
+            email,
             isValid: false,
             status: "error",
-            message: result.reason.message,
+            message: error.message,
           })
         }
+      }),
+    )
+
+    const sessions = []
+    for (const { mxRecords, entries } of groups.values()) {
+      entries.sort((a, b) => a.index - b.index)
+      for (let i = 0; i < entries.length; i += this.recipientsPerSession) {
+        sessions.push({ mxRecords, entries: entries.slice(i, i + this.recipientsPerSession) })
       }
+    }
+
+    for (let i = 0; i < sessions.length; i += concurrency) {
+      const round = sessions.slice(i, i + concurrency)
+
+      await Promise.all(
+        round.map(async ({ mxRecords, entries }) => {
+          try {
+            const sessionResults = await this.verifyWithMxRecords(
+              entries.map(({ email }) => email),
+              mxRecords,
+            )
+            entries.forEach(({ index }, j) => finish(index, sessionResults[j]))
+          } catch (error) {
+            // Without a listener an "error" event would throw; the error results say enough
+            if (this.listenerCount("error") > 0) {
+              this.emit("error", { error, emails: entries.map(({ email }) => email) })
+            }
+            for (const { email, index } of entries) {
+              finish(index, {
+                email,
+                isValid: false,
+                status: "error",
+                message: error.message,
+              })
+            }
+          }
+        }),
+      )
 
-      // Add delay between batches to avoid overwhelming servers
-      if (i + concurrency < emails.length) {
+      // Add delay between rounds to avoid overwhelming servers
+      if (i + concurrency < sessions.length) {
         await new Promise((resolve) => setTimeout(resolve, delay))
       }
     }
 
+    this.emit("done", { results })
     return results
   }
 }
@@ -405,13 +1111,15 @@ async function demonstrateEmailVerification() {
     })
 
     // Summary statistics
-    const validCount = batchResults.filter((r) => r.isValid).length
+    const validCount = batchResults.filter((r) => r.isValid === true).length
     const invalidCount = batchResults.filter((r) => !r.isValid && r.status !== "error").length
+    const catchAllCount = batchResults.filter((r) => r.status === "catch_all").length
     const errorCount = batchResults.filter((r) => r.status === "error").length
 
     console.log("\n--- Summary ---")
     console.log(`Total emails tested: ${batchResults.length}`)
     console.log(`Valid emails: ${validCount}`)
+    console.log(`Catch-all (unknown): ${catchAllCount}`)
     console.log(`Invalid emails: ${invalidCount}`)
     console.log(`Errors: ${errorCount}`)
   } catch (error) {
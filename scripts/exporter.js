@@ -0,0 +1,356 @@
+import { createWriteStream } from "fs"
+import fs from "fs/promises"
+import { once } from "events"
+import { formatCsvRow } from "./csv.js"
+
+// Exportable result fields: name -> column header and value
+const FIELDS = {
+  email: { header: "Email", value: (r) => r.email },
+  isValid: { header: "IsValid", value: (r) => r.isValid },
+  status: { header: "Status", value: (r) => r.status },
+  score: { header: "Score", value: (r) => r.score ?? "" },
+  tier: { header: "Tier", value: (r) => r.tier || "" },
+  message: { header: "Message", value: (r) => r.message },
+  smtpResponse: { header: "SMTPResponse", value: (r) => r.smtpResponse || "" },
+  enhancedCode: { header: "EnhancedStatusCode", value: (r) => r.enhancedCode || "" },
+  reason: { header: "FailureReason", value: (r) => r.reason || "" },
+  suggestion: { header: "Suggestion", value: (r) => r.suggestion || "" },
+  reasons: { header: "Reasons", value: (r) => (r.reasons || []).join("; ") },
+  isDisposable: { header: "Disposable", value: (r) => Boolean(r.isDisposable) },
+  isRole: { header: "RoleAccount", value: (r) => Boolean(r.isRole) },
+  isFreeProvider: { header: "FreeProvider", value: (r) => Boolean(r.isFreeProvider) },
+  catchAll: { header: "CatchAll", value: (r) => r.status === "catch_all" },
+  provider: { header: "Provider", value: (r) => r.provider || "" },
+  greylisted: { header: "Greylisted", value: (r) => Boolean(r.greylisted) },
+  retryAt: { header: "RetryAt", value: (r) => r.retryAt || "" },
+  tls: { header: "TLS", value: (r) => r.tls?.version || "" },
+  fromCache: { header: "FromCache", value: (r) => Boolean(r.fromCache) },
+}
+
+const DEFAULT_FIELDS = ["email", "isValid", "status", "score", "tier", "message", "smtpResponse", "suggestion"]
+
+const FORMATS = ["csv", "tsv", "ndjson", "html"]
+
+/**
+ * Check a field list, defaulting to DEFAULT_FIELDS
+ * @param {string[]} [fields]
+ * @returns {string[]}
+ */
+function resolveFields(fields) {
+  if (!fields || fields.length === 0) {
+    return DEFAULT_FIELDS
+  }
+  const unknown = fields.filter((field) => !FIELDS[field])
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s): ${unknown.join(", ")} (available: ${Object.keys(FIELDS).join(", ")})`)
+  }
+  return fields
+}
+
+/**
+ * Input columns of a result set read from a CSV file, or null
+ */
+function inputHeadersOf(results) {
+  const sample = results.find((result) => result.input)
+  return sample ? Object.keys(sample.input) : null
+}
+
+/**
+ * Pick the table columns for a set of results. Results read from a CSV file carry
+ * their input row, which comes first so the file can be re-imported; the email is
+ * already part of it.
+ * @param {Object} [sample] - Any result of the set
+ * @param {string[]} [fields] - Result fields to add
+ * @param {string[]} [inputHeaders] - Input columns, when known for a set that may be empty (default: the sample's)
+ * @returns {Object} { headers, inputHeaders, fields } where inputHeaders is null without passthrough
+ */
+function tableColumns(sample, fields, inputHeaders = sample?.input ? Object.keys(sample.input) : null) {
+  fields = resolveFields(fields)
+  if (!inputHeaders) {
+    return { headers: fields.map((field) => FIELDS[field].header), inputHeaders: null, fields }
+  }
+
+  const added = fields.filter((field) => field !== "email")
+  const headers = added.map((field) => {
+    const header = FIELDS[field].header
+    const clashes = inputHeaders.some((input) => input.toLowerCase() === header.toLowerCase())
+    return clashes ? `Verification ${header}` : header
+  })
+  return { headers: [...inputHeaders, ...headers], inputHeaders, fields: added }
+}
+
+/**
+ * Values of one result under tableColumns()
+ */
+function tableRow(result, columns) {
+  const leading = columns.inputHeaders ? columns.inputHeaders.map((header) => result.input?.[header] ?? "") : []
+  return [...leading, ...columns.fields.map((field) => FIELDS[field].value(result))]
+}
+
+/**
+ * TSV has no quoting, so tabs and line breaks inside values become spaces
+ */
+function formatTsvRow(values) {
+  return values.map((value) => String(value ?? "").replace(/[\t\r\n]+/g, " ")).join("\t")
+}
+
+/**
+ * One NDJSON object: the whole result, or only the chosen fields (and input row)
+ */
+function toJsonLine(result, fields) {
+  if (!fields || fields.length === 0) {
+    return JSON.stringify(result)
+  }
+  const picked = Object.fromEntries(resolveFields(fields).map((field) => [field, result[field]]))
+  return JSON.stringify(result.input ? { ...picked, input: result.input } : picked)
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+}
+
+function htmlTable(headers, rows) {
+  const head = headers.map((header) => `<th>${escapeHtml(header)}</th>`).join("")
+  const body = rows.map((row) => `<tr>${row.map((value) => `<td>${escapeHtml(value)}</td>`).join("")}</tr>`)
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body.join("\n")}\n</tbody></table>`
+}
+
+/**
+ * Self-contained HTML report: summary, breakdowns, top domains, recommendations
+ * and the results table
+ * @param {Object[]} results
+ * @param {Object} options - report (from generateReport/generateDetailedReport), fields, maxRows
+ */
+function formatHtml(results, options = {}) {
+  const report = options.report || {}
+  const summary = report.summary || {}
+  const maxRows = options.maxRows || 1000
+  const columns = tableColumns(null, options.fields, options.inputHeaders ?? inputHeadersOf(results))
+  const sections = []
+
+  sections.push(
+    "<h2>Summary</h2>",
+    htmlTable(
+      ["Total", "Valid", "Invalid", "Errors", "Temporary", "Catch-all", "Disposable", "Average score"],
+      [
+        [
+          summary.total ?? results.length,
+          `${summary.valid ?? ""} (${summary.validPercentage ?? ""}%)`,
+          `${summary.invalid ?? ""} (${summary.invalidPercentage ?? ""}%)`,
+          summary.errors,
+          summary.temporary,
+          summary.catchAll,
+          summary.disposable,
+          summary.averageScore ?? "n/a",
+        ],
+      ],
+    ),
+  )
+
+  if (report.tierBreakdown) {
+    sections.push("<h2>By tier</h2>", htmlTable(["Tier", "Emails"], Object.entries(report.tierBreakdown)))
+  }
+  if (report.statusBreakdown) {
+    const statuses = Object.entries(report.statusBreakdown).sort((a, b) => b[1] - a[1])
+    sections.push("<h2>By status</h2>", htmlTable(["Status", "Emails"], statuses))
+  }
+
+  const topDomains = report.domainAnalysis?.topDomains || []
+  if (topDomains.length > 0) {
+    sections.push(
+      "<h2>Top domains</h2>",
+      htmlTable(
+        ["Domain", "Emails", "Valid", "Catch-all", "Errors", "Free provider"],
+        topDomains.map((d) => [d.domain, d.total, d.validRate, d.catchAll, d.errors, d.isFreeProvider ? "yes" : ""]),
+      ),
+    )
+  }
+
+  if (report.recommendations?.length > 0) {
+    const items = report.recommendations.map((rec) => `<li>${escapeHtml(rec)}</li>`).join("\n")
+    sections.push("<h2>Recommendations</h2>", `<ul>\n${items}\n</ul>`)
+  }
+
+  const shown = results.slice(0, maxRows)
+  sections.push(
+    "<h2>Results</h2>",
+    shown.length < results.length ? `<p>First ${shown.length} of ${results.length} results.</p>` : "",
+    htmlTable(
+      columns.headers,
+      shown.map((result) => tableRow(result, columns)),
+    ),
+  )
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Email verification report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; font-size: 0.9rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; }
+</style>
+</head>
+<body>
+<h1>Email verification report</h1>
+<p>Generated ${escapeHtml(new Date().toISOString())}</p>
+${sections.join("\n")}
+</body>
+</html>
+`
+}
+
+/**
+ * Format results as a complete document
+ * @param {Object[]} results
+ * @param {Object} [options]
+ * @param {string} [options.format] - csv (default), tsv, ndjson or html
+ * @param {string[]} [options.fields] - Result fields to include (see FIELDS)
+ * @param {string} [options.delimiter] - CSV delimiter
+ * @param {string[]} [options.inputHeaders] - CSV passthrough columns (default: those of the results)
+ * @param {Object} [options.report] - Report shown in the HTML format
+ * @returns {string}
+ */
+function formatResults(results, options = {}) {
+  const format = options.format || "csv"
+
+  switch (format) {
+    case "csv":
+    case "tsv": {
+      const columns = tableColumns(null, options.fields, options.inputHeaders ?? inputHeadersOf(results))
+      const formatRow = format === "tsv" ? formatTsvRow : (values) => formatCsvRow(values, options)
+      return [formatRow(columns.headers), ...results.map((result) => formatRow(tableRow(result, columns)))].join("\n")
+    }
+    case "ndjson":
+      return results.map((result) => `${toJsonLine(result, options.fields)}\n`).join("")
+    case "html":
+      return formatHtml(results, options)
+    default:
+      throw new Error(`Unsupported export format: ${format} (use ${FORMATS.join(", ")})`)
+  }
+}
+
+/**
+ * Write results to a file in the chosen format (see formatResults)
+ */
+async function exportResults(results, filePath, options = {}) {
+  await fs.writeFile(filePath, formatResults(results, options), options.encoding || "utf8")
+  return filePath
+}
+
+/**
+ * Writes results as they arrive instead of at the end: the full results as NDJSON
+ * and/or an export file in a line-based format (csv, tsv or ndjson)
+ */
+class ResultStreamWriter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.ndjsonFile] - Full results, one JSON object per line
+   * @param {string} [options.exportFile] - Export in options.format
+   * @param {string} [options.format] - csv (default), tsv or ndjson
+   * @param {string[]} [options.fields] - Fields for the export file
+   * @param {string} [options.delimiter] - CSV delimiter
+   * @param {string} [options.encoding] - Export file encoding (default utf8)
+   * @param {string[]} [options.inputHeaders] - CSV passthrough columns (default: those of the first result)
+   */
+  constructor(options = {}) {
+    this.format = options.format || "csv"
+    if (!["csv", "tsv", "ndjson"].includes(this.format)) {
+      throw new Error(`The ${this.format} format cannot be written as a stream (use csv, tsv or ndjson)`)
+    }
+
+    this.ndjson = options.ndjsonFile ? createWriteStream(options.ndjsonFile) : null
+    this.output = options.exportFile
+      ? createWriteStream(options.exportFile, { encoding: options.encoding || "utf8" })
+      : null
+    this.fields = options.fields
+    this.delimiter = options.delimiter
+    this.inputHeaders = options.inputHeaders // undefined: taken from the first result
+    this.columns = null // decided by the first result
+    this.count = 0
+    this.error = null
+
+    // Surface open/write failures on the next write instead of as an uncaught error
+    for (const stream of [this.ndjson, this.output].filter(Boolean)) {
+      stream.on("error", (error) => {
+        this.error = error
+      })
+    }
+  }
+
+  /**
+   * Append results, waiting for the files to drain so memory stays bounded
+   * @param {Object[]} results
+   */
+  async write(results) {
+    for (const result of results) {
+      if (this.error) {
+        throw this.error
+      }
+      await this.writeLine(this.ndjson, JSON.stringify(result))
+      if (this.output) {
+        await this.writeHeader(result)
+        await this.writeLine(this.output, this.formatLine(result))
+      }
+      this.count++
+    }
+  }
+
+  formatLine(result) {
+    if (this.format === "ndjson") {
+      return toJsonLine(result, this.fields)
+    }
+    const values = tableRow(result, this.columns)
+    return this.format === "tsv" ? formatTsvRow(values) : formatCsvRow(values, { delimiter: this.delimiter })
+  }
+
+  async writeHeader(sample) {
+    if (this.columns) {
+      return
+    }
+    this.columns = tableColumns(sample, this.fields, this.inputHeaders)
+    if (this.format === "csv") {
+      await this.writeLine(this.output, formatCsvRow(this.columns.headers, { delimiter: this.delimiter }))
+    } else if (this.format === "tsv") {
+      await this.writeLine(this.output, formatTsvRow(this.columns.headers))
+    }
+  }
+
+  async writeLine(stream, line) {
+    if (stream && !stream.write(`${line}\n`)) {
+      await once(stream, "drain")
+    }
+  }
+
+  async close() {
+    if (this.output) {
+      await this.writeHeader(null)
+    }
+    if (this.error) {
+      throw this.error
+    }
+    await Promise.all(
+      [this.ndjson, this.output].filter(Boolean).map((stream) => {
+        stream.end()
+        return once(stream, "finish")
+      }),
+    )
+  }
+}
+
+export {
+  ResultStreamWriter,
+  formatResults,
+  exportResults,
+  inputHeadersOf,
+  resolveFields,
+  FIELDS,
+  DEFAULT_FIELDS,
+  FORMATS,
+}
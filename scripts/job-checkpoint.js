@@ -0,0 +1,136 @@
+import fs from "fs/promises"
+import { createReadStream } from "fs"
+import { createInterface } from "readline"
+import crypto from "crypto"
+import os from "os"
+import path from "path"
+
+const DEFAULT_JOBS_DIR = path.join(os.homedir(), ".email-verifier", "jobs")
+
+/**
+ * Generate a sortable job ID such as 20261019-154914-a1b2c3
+ */
+function generateJobId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15)
+  return `${stamp}-${crypto.randomBytes(3).toString("hex")}`
+}
+
+/**
+ * Append-only NDJSON checkpoint for a bulk job: one header line describing the
+ * job, then one line per completed address. A torn last line (crash mid-write)
+ * is ignored on load, so the file is always safe to resume from.
+ */
+class JobCheckpoint {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.job] - Job ID or checkpoint file path to open; a new ID is generated when omitted
+   * @param {string} [options.jobsDir] - Where checkpoints for job IDs live
+   */
+  constructor(options = {}) {
+    const jobsDir = options.jobsDir || DEFAULT_JOBS_DIR
+    const job = options.job || generateJobId()
+
+    if (job.endsWith(".ndjson")) {
+      this.filePath = job
+      this.jobId = path.basename(job, ".ndjson")
+    } else {
+      this.jobId = job
+      this.filePath = path.join(jobsDir, `${job}.ndjson`)
+    }
+
+    this.meta = null
+    this.completed = new Map() // input index -> result
+  }
+
+  /**
+   * Create the checkpoint file for a new job
+   * @param {Object} meta - Job description (inputFile, outputFile, total, ...)
+   */
+  async start(meta) {
+    this.meta = { jobId: this.jobId, createdAt: new Date().toISOString(), ...meta }
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+    await fs.writeFile(this.filePath, `${JSON.stringify({ type: "job", ...this.meta })}\n`, { flag: "wx" })
+  }
+
+  /**
+   * Read an existing checkpoint
+   * @returns {Promise<Object>} Job description from the header line
+   */
+  async load() {
+    const lines = createInterface({ input: createReadStream(this.filePath, "utf-8"), crlfDelay: Infinity })
+
+    for await (const line of lines) {
+      let record
+      try {
+        record = JSON.parse(line)
+      } catch {
+        continue // torn write from an interrupted run
+      }
+
+      if (record.type === "job") {
+        this.meta = record
+      } else if (record.type === "result") {
+        this.completed.set(record.index, record.result)
+      } else if (record.type === "done") {
+        this.meta.completedAt = record.completedAt
+      }
+    }
+
+    if (!this.meta) {
+      throw new Error(`${this.filePath} is not a job checkpoint`)
+    }
+
+    await this.terminateLastLine()
+    return this.meta
+  }
+
+  /**
+   * End a torn last line so the next append starts on a line of its own
+   */
+  async terminateLastLine() {
+    const handle = await fs.open(this.filePath, "r")
+    try {
+      const { size } = await handle.stat()
+      if (size === 0) {
+        return
+      }
+      const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1)
+      if (buffer[0] !== 0x0a) {
+        await fs.appendFile(this.filePath, "\n")
+      }
+    } finally {
+      await handle.close()
+    }
+  }
+
+  /**
+   * Record finished addresses
+   * @param {Array<{index: number, result: Object}>} entries - Input position and result of each address
+   */
+  async append(entries) {
+    const lines = entries.map(({ index, result }) => JSON.stringify({ type: "result", index, result }))
+    await fs.appendFile(this.filePath, `${lines.join("\n")}\n`)
+    entries.forEach(({ index, result }) => this.completed.set(index, result))
+  }
+
+  /**
+   * Mark the job as finished; a job that already is keeps its first done line
+   */
+  async finish() {
+    if (this.meta.completedAt) {
+      return
+    }
+    const completedAt = new Date().toISOString()
+    await fs.appendFile(this.filePath, `${JSON.stringify({ type: "done", completedAt })}\n`)
+    this.meta.completedAt = completedAt
+  }
+
+  /**
+   * Check whether the address at index was already verified
+   */
+  isCompleted(index, email) {
+    return this.completed.get(index)?.email === email
+  }
+}
+
+export { JobCheckpoint, generateJobId, DEFAULT_JOBS_DIR }
@@ -0,0 +1,18 @@
+import { readFileSync } from "fs"
+import { fileURLToPath } from "url"
+import { dirname, join } from "path"
+
+// Bundled lists shipped with the package
+const DATA_DIR = join(dirname(fileURLToPath(import.meta.url)), "../data")
+
+/**
+ * Read a one-entry-per-line list, lowercased, skipping blank lines and # comments
+ */
+function readList(filePath) {
+  return readFileSync(filePath, "utf8")
+    .split("\n")
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith("#"))
+}
+
+export { DATA_DIR, readList }
@@ -0,0 +1,127 @@
+const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, silent: 100 }
+const FORMATS = ["pretty", "json"]
+
+/**
+ * Leveled logger writing one line per entry, either readable ("pretty") or as
+ * JSON objects carrying the context fields (email, domain, mxHost, step, jobId, ...)
+ * for log pipelines. Logs go to stderr so they never mix with results on stdout.
+ */
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level] - trace, debug, info, warn, error or silent (default: info)
+   * @param {string} [options.format] - pretty or json (default: pretty)
+   * @param {Object} [options.context] - Fields added to every entry
+   * @param {stream.Writable} [options.stream] - Where to write (default: stderr)
+   */
+  constructor(options = {}) {
+    const level = options.level || "info"
+    const format = options.format || "pretty"
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown log level: ${level} (use ${Object.keys(LEVELS).join(", ")})`)
+    }
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown log format: ${format} (use ${FORMATS.join(" or ")})`)
+    }
+
+    // Children share this object, so reconfiguring the root reaches every component
+    this.settings = options.settings || { level, format, stream: options.stream || process.stderr }
+    this.context = options.context || {}
+  }
+
+  get level() {
+    return this.settings.level
+  }
+
+  get format() {
+    return this.settings.format
+  }
+
+  /**
+   * Change level and/or format for this logger and all its children
+   */
+  configure({ level, format, stream } = {}) {
+    const checked = new Logger({ level: level || this.level, format: format || this.format })
+    Object.assign(this.settings, { level: checked.level, format: checked.format })
+    if (stream) {
+      this.settings.stream = stream
+    }
+    return this
+  }
+
+  /**
+   * Logger adding `context` to every entry, e.g. child({ component: "ApiServer" })
+   */
+  child(context) {
+    return new Logger({ settings: this.settings, context: { ...this.context, ...context } })
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level]
+  }
+
+  trace(message, fields) {
+    this.write("trace", message, fields)
+  }
+
+  debug(message, fields) {
+    this.write("debug", message, fields)
+  }
+
+  info(message, fields) {
+    this.write("info", message, fields)
+  }
+
+  warn(message, fields) {
+    this.write("warn", message, fields)
+  }
+
+  error(message, fields) {
+    this.write("error", message, fields)
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return
+    }
+
+    const entry = { ...this.context, ...fields }
+    // Errors do not survive JSON.stringify
+    if (entry.error instanceof Error) {
+      entry.error = entry.error.message
+    }
+
+    const time = new Date().toISOString()
+    if (this.format === "json") {
+      this.settings.stream.write(`${JSON.stringify({ time, level, msg: message, ...entry })}\n`)
+      return
+    }
+
+    const { component, ...rest } = entry
+    const details = Object.entries(rest)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${key}=${typeof value === "string" && !/\s/.test(value) ? value : JSON.stringify(value)}`)
+    const prefix = `${time} ${level.toUpperCase().padEnd(5)}${component ? ` [${component}]` : ""}`
+    this.settings.stream.write(`${prefix} ${message}${details.length > 0 ? ` ${details.join(" ")}` : ""}\n`)
+  }
+}
+
+// Shared by every component not given a logger of its own; the CLI configures it from its flags
+const defaultLogger = new Logger()
+
+/**
+ * The logger a component should use: its own, a trace-level one for the older
+ * `debug: true` option (which showed the SMTP dialogue), or the shared default,
+ * tagged with the component name
+ */
+function loggerFor(component, options = {}) {
+  if (options.logger) {
+    return options.logger.child({ component })
+  }
+  if (options.debug && !defaultLogger.isLevelEnabled("trace")) {
+    return new Logger({ level: "trace", format: defaultLogger.format, context: { component } })
+  }
+  return defaultLogger.child({ component })
+}
+
+export { Logger, defaultLogger, loggerFor, LEVELS, FORMATS as LOG_FORMATS }
@@ -0,0 +1,222 @@
+const BAR_WIDTH = 24
+
+/**
+ * Seconds as "1h 02m", "3m 05s" or "42s"
+ */
+function formatDuration(seconds) {
+  if (seconds === null || !Number.isFinite(seconds)) {
+    return "?"
+  }
+  const s = Math.round(seconds)
+  if (s >= 3600) {
+    return `${Math.floor(s / 3600)}h ${String(Math.floor((s % 3600) / 60)).padStart(2, "0")}m`
+  }
+  if (s >= 60) {
+    return `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, "0")}s`
+  }
+  return `${s}s`
+}
+
+/**
+ * Per-status counts, most frequent first: "valid 40 · invalid 12 · catch_all 3"
+ */
+function formatCounts(byStatus) {
+  return Object.entries(byStatus)
+    .sort(([, a], [, b]) => b - a)
+    .map(([status, count]) => `${status} ${count}`)
+    .join(" · ")
+}
+
+/**
+ * Shows the events of a BulkEmailProcessor on the console: a single live
+ * progress line on a terminal, plain log lines when output goes to a file or pipe
+ */
+class ProgressReporter {
+  /**
+   * @param {Object} [options]
+   * @param {stream.Writable} [options.stream] - Where to write (default stdout)
+   * @param {boolean} [options.interactive] - Redraw one line in place (default: stream is a TTY)
+   * @param {Logger} [options.logger] - Write log entries with the event fields instead of console lines
+   */
+  constructor(options = {}) {
+    this.stream = options.stream || process.stdout
+    this.logger = options.logger || null
+    this.interactive = !this.logger && (options.interactive ?? Boolean(this.stream.isTTY))
+    this.last = null // latest progress event
+    this.batch = null // latest batchStart event
+    this.lineShown = false
+    this.listeners = {
+      batchStart: (event) => this.onBatchStart(event),
+      progress: (event) => this.onProgress(event),
+      retry: (event) => this.onRetry(event),
+      error: (event) => this.onError(event),
+      done: (event) => this.onDone(event),
+    }
+  }
+
+  /**
+   * Start listening to a processor's events
+   * @param {BulkEmailProcessor} processor
+   * @returns {ProgressReporter} this
+   */
+  attach(processor) {
+    this.processor = processor
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      processor.on(event, listener)
+    }
+    return this
+  }
+
+  /**
+   * Stop listening and end the live line
+   */
+  detach() {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.processor?.off(event, listener)
+    }
+    this.processor = null
+    this.endLine()
+  }
+
+  onBatchStart(event) {
+    this.batch = event
+    if (this.interactive) {
+      this.render()
+    } else {
+      const of = event.totalBatches ? `/${event.totalBatches}` : ""
+      this.log(`Processing batch ${event.batch}${of} (${event.size} emails)`, event)
+    }
+  }
+
+  onProgress(event) {
+    const first = this.last === null
+    this.last = event
+    if (this.interactive) {
+      this.render()
+      return
+    }
+
+    if (first) {
+      // The event sent before the first batch
+      if (event.total !== null) {
+        this.log(`Starting bulk processing of ${event.total} emails`, { total: event.total })
+      }
+      if (event.resumed > 0) {
+        this.log(`Resuming: ${event.resumed} emails already done, ${event.total - event.processed} to go`, {
+          resumed: event.resumed,
+        })
+      }
+      if (event.processed === event.resumed) {
+        return
+      }
+    }
+
+    const counts = formatCounts(event.byStatus)
+    if (event.total === null) {
+      this.log(`Processed ${event.processed} emails (${event.rate} emails/sec)${counts ? ` - ${counts}` : ""}`, event)
+    } else {
+      this.log(
+        `Progress: ${event.percent}% (${event.processed}/${event.total}), ` +
+          `${event.rate} emails/sec, ETA ${formatDuration(event.etaSeconds)}${counts ? ` - ${counts}` : ""}`,
+        event,
+      )
+    }
+  }
+
+  onRetry(event) {
+    const when = event.retryAt ? ` at ${new Date(event.retryAt).toLocaleTimeString()}` : ""
+    this.log(`Retry ${event.attempt} of ${event.email}${when} (${event.reason})`, { ...event, step: "retry" })
+  }
+
+  onError(event) {
+    this.log(`${event.stage} failed: ${event.error.message}`, { error: event.error }, "error")
+  }
+
+  onDone(event) {
+    this.endLine()
+    const verb = event.interrupted ? "stopped" : "completed"
+    const { results, summary, ...fields } = event
+    this.log(`Bulk processing ${verb} in ${formatDuration(event.durationSeconds)} (${event.processed} emails)`, fields)
+    if (event.deferred > 0) {
+      this.log(`${event.deferred} emails deferred for retry`, { deferred: event.deferred })
+    }
+  }
+
+  /**
+   * Print a message above the live line (or as a plain line, or a log entry with fields)
+   */
+  log(message, fields = {}, level = "info") {
+    if (this.logger) {
+      this.logger[level](message, fields)
+      return
+    }
+
+    this.clearLine()
+    if (level === "error") {
+      console.error(message)
+    } else {
+      this.stream.write(`${message}\n`)
+    }
+    if (this.lineShown) {
+      this.render()
+    }
+  }
+
+  /**
+   * Redraw the live line: bar, counts, rate, ETA and per-status counts
+   */
+  render() {
+    if (!this.interactive || (!this.last && !this.batch)) {
+      return
+    }
+    const { processed = 0, total = null, percent = null, rate = 0, etaSeconds = null, byStatus = {} } = this.last || {}
+
+    const parts = []
+    if (total !== null) {
+      const filled = Math.round(((percent || 0) / 100) * BAR_WIDTH)
+      parts.push(`[${"█".repeat(filled)}${"░".repeat(BAR_WIDTH - filled)}] ${(percent || 0).toFixed(1)}%`)
+      parts.push(`${processed}/${total}`)
+    } else {
+      parts.push(`${processed} done`)
+    }
+    if (this.batch?.totalBatches) {
+      parts.push(`batch ${this.batch.batch}/${this.batch.totalBatches}`)
+    }
+    parts.push(`${rate}/s`)
+    if (total !== null && processed < total) {
+      parts.push(`ETA ${formatDuration(etaSeconds)}`)
+    }
+    const counts = formatCounts(byStatus)
+    if (counts) {
+      parts.push(counts)
+    }
+
+    // Longer than the terminal would wrap and break the redraw: cut from the end, so the status counts are lost first
+    let line = parts.join(" | ")
+    const columns = this.stream.columns || 80
+    if (line.length > columns - 1) {
+      line = `${line.slice(0, columns - 2)}…`
+    }
+    this.stream.write(`\r${line}\x1b[K`)
+    this.lineShown = true
+  }
+
+  clearLine() {
+    if (this.interactive && this.lineShown) {
+      this.stream.write("\r\x1b[K")
+    }
+  }
+
+  /**
+   * Leave the live line as it is and move below it
+   */
+  endLine() {
+    if (this.interactive && this.lineShown) {
+      this.render()
+      this.stream.write("\n")
+      this.lineShown = false
+    }
+  }
+}
+
+export { ProgressReporter, formatDuration }
@@ -0,0 +1,179 @@
+// MX host suffixes of mail platforms that host many customer domains on one fleet
+const DEFAULT_PROVIDER_GROUPS = {
+  google: ["google.com", "googlemail.com"],
+  microsoft: ["outlook.com", "hotmail.com", "outlook.office365.com"],
+  yahoo: ["yahoodns.net", "yahoo.com"],
+  apple: ["icloud.com", "me.com"],
+  zoho: ["zoho.com", "zoho.eu", "zohomail.com"],
+  proton: ["protonmail.ch"],
+  yandex: ["yandex.net", "yandex.ru"],
+  gmx: ["gmx.net", "web.de"],
+  mimecast: ["mimecast.com"],
+  proofpoint: ["pphosted.com", "ppe-hosted.com"],
+}
+
+// The big consumer providers throttle and block verification traffic much sooner
+const DEFAULT_PROVIDER_LIMITS = {
+  microsoft: { requests: 5, window: 60000 },
+  yahoo: { requests: 5, window: 60000 },
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Token bucket that refills `requests` tokens every `window` ms. Waiters are
+ * served in arrival order.
+ */
+class TokenBucket {
+  constructor({ requests, window }) {
+    this.capacity = requests
+    this.refillRate = requests / window // tokens per ms
+    this.tokens = requests
+    this.updatedAt = Date.now()
+    this.queue = Promise.resolve()
+  }
+
+  refill() {
+    const now = Date.now()
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillRate)
+    this.updatedAt = now
+  }
+
+  /**
+   * Wait for tokens and consume them in one go
+   * @param {number} [count] - Tokens to take, at most the capacity
+   * @returns {Promise<number>} How long the caller waited, in ms
+   */
+  take(count = 1) {
+    const queuedAt = Date.now()
+
+    const turn = this.queue.then(async () => {
+      this.refill()
+      while (this.tokens < count) {
+        await sleep(Math.ceil((count - this.tokens) / this.refillRate))
+        this.refill()
+      }
+      this.tokens -= count
+      return Date.now() - queuedAt
+    })
+
+    this.queue = turn
+    return turn
+  }
+
+  /**
+   * Consume a token only if one is available right now
+   * @returns {number} 0 when a token was taken, otherwise ms until the next one
+   */
+  tryTake() {
+    this.refill()
+    if (this.tokens >= 1) {
+      this.tokens--
+      return 0
+    }
+    return Math.ceil((1 - this.tokens) / this.refillRate)
+  }
+}
+
+/**
+ * Schedules SMTP work per provider group (or MX host) so that domains sharing a
+ * mail fleet share one budget. Work over the limit waits instead of failing.
+ */
+class RateScheduler {
+  constructor(options = {}) {
+    this.defaultLimit = {
+      requests: options.maxRequestsPerDomain || 10,
+      window: options.rateLimitWindow || 60000,
+    }
+    this.providerLimits = { ...DEFAULT_PROVIDER_LIMITS, ...options.providerLimits }
+    this.providerGroups = { ...DEFAULT_PROVIDER_GROUPS, ...options.providerGroups }
+    this.reset()
+  }
+
+  /**
+   * Map an MX host to its provider group, or to the host itself when unknown
+   */
+  getKey(mxHost) {
+    const host = mxHost.toLowerCase().replace(/\.$/, "")
+    for (const [provider, suffixes] of Object.entries(this.providerGroups)) {
+      if (suffixes.some((suffix) => host === suffix || host.endsWith(`.${suffix}`))) {
+        return provider
+      }
+    }
+    return host
+  }
+
+  getBucket(key) {
+    if (!this.buckets.has(key)) {
+      const limit = { ...this.defaultLimit, ...this.providerLimits[key] }
+      this.buckets.set(key, new TokenBucket(limit))
+    }
+    return this.buckets.get(key)
+  }
+
+  /**
+   * Wait until a session sending `count` RCPT commands may start against mxHost.
+   * A session larger than the whole budget waits for a full bucket, not for several
+   * windows, so it does not hold up every session queued behind it.
+   * @param {string} mxHost - MX host about to be contacted
+   * @param {number} [count] - RCPT commands in the session
+   * @returns {Promise<string>} Scheduler key the work was counted against
+   */
+  async acquire(mxHost, count = 1) {
+    const key = this.getKey(mxHost)
+    const bucket = this.getBucket(key)
+    const stats = this.getStats(key)
+
+    stats.waitMs += await bucket.take(Math.min(count, bucket.capacity))
+
+    stats.sessions++
+    stats.startedAt ??= Date.now()
+    return key
+  }
+
+  /**
+   * Record that work counted against key has finished
+   */
+  complete(key, count = 1) {
+    const stats = this.getStats(key)
+    stats.recipients += count
+    stats.finishedAt = Date.now()
+  }
+
+  getStats(key) {
+    if (!this.stats.has(key)) {
+      this.stats.set(key, { sessions: 0, recipients: 0, waitMs: 0, startedAt: null, finishedAt: null })
+    }
+    return this.stats.get(key)
+  }
+
+  /**
+   * Per-provider throughput since the last reset
+   * @returns {Object} key -> { sessions, recipients, waitMs, perMinute, limit }
+   */
+  getThroughput() {
+    const throughput = {}
+    for (const [key, stats] of this.stats) {
+      const elapsed = stats.finishedAt && stats.startedAt ? stats.finishedAt - stats.startedAt : 0
+      const limit = { ...this.defaultLimit, ...this.providerLimits[key] }
+      throughput[key] = {
+        sessions: stats.sessions,
+        recipients: stats.recipients,
+        waitMs: stats.waitMs,
+        perMinute: elapsed > 0 ? Number(((stats.recipients / elapsed) * 60000).toFixed(1)) : null,
+        limit: `${limit.requests}/${limit.window}ms`,
+      }
+    }
+    return throughput
+  }
+
+  /**
+   * Forget all buckets and statistics
+   */
+  reset() {
+    this.buckets = new Map()
+    this.stats = new Map()
+  }
+}
+
+export { RateScheduler, TokenBucket, DEFAULT_PROVIDER_GROUPS, DEFAULT_PROVIDER_LIMITS }
@@ -0,0 +1,404 @@
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+
+const DEFAULT_CACHE_FILE = path.join(os.homedir(), ".email-verifier", "cache.ndjson")
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+// How long each status stays trustworthy; 0 means never cache
+const DEFAULT_CACHE_TTLS = {
+  valid: 30 * DAY,
+  invalid: 30 * DAY,
+  mailbox_disabled: 7 * DAY,
+  mailbox_full: DAY,
+  invalid_format: 30 * DAY,
+  catch_all: 7 * DAY,
+  null_mx: 7 * DAY,
+  domain_not_found: DAY,
+  no_mx_record: DAY,
+  disposable: 7 * DAY,
+  smtputf8_unsupported: 7 * DAY,
+  temporary_failure: 15 * MINUTE,
+  error: 0,
+  batch_error: 0,
+  connection_failed: 0,
+  connection_rejected: 0,
+  handshake_failed: 0,
+  mail_from_rejected: 0,
+  unknown_response: 0,
+  dns_error: 0,
+  dns_timeout: 0,
+  rate_limited: 0,
+  tls_failed: 0,
+  tls_unavailable: 0,
+  blocked: 0,
+  relay_denied: 0,
+}
+
+/**
+ * Build a cache entry that expires ttl ms from now
+ */
+function createEntry(result, ttl) {
+  const now = Date.now()
+  return { result, storedAt: now, expiresAt: now + ttl }
+}
+
+/**
+ * Summarize entries for `cache stats`
+ */
+function summarize(entries) {
+  const now = Date.now()
+  const byStatus = {}
+  let expired = 0
+
+  for (const entry of entries) {
+    if (entry.expiresAt <= now) {
+      expired++
+      continue
+    }
+    const status = entry.result?.status || "unknown"
+    byStatus[status] = (byStatus[status] || 0) + 1
+  }
+
+  return { entries: entries.length, live: entries.length - expired, expired, byStatus }
+}
+
+/**
+ * In-process cache store (lost when the process exits)
+ */
+class MemoryCacheStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries] - Keep only the most recently used entries (default: no limit)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || Infinity
+    this.entries = new Map() // in least recently used first order
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key)
+    if (entry && entry.expiresAt > Date.now()) {
+      this.entries.delete(key)
+      this.entries.set(key, entry)
+      return entry.result
+    }
+    if (entry) {
+      this.entries.delete(key)
+    }
+    return null
+  }
+
+  async set(key, result, ttl) {
+    this.entries.delete(key)
+    this.entries.set(key, createEntry(result, ttl))
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key)
+  }
+
+  async clear() {
+    this.entries.clear()
+  }
+
+  async prune() {
+    const now = Date.now()
+    let removed = 0
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key)
+        removed++
+      }
+    }
+    return removed
+  }
+
+  async stats() {
+    return { backend: "memory", ...summarize([...this.entries.values()]) }
+  }
+
+  async flush() {}
+
+  async close() {}
+}
+
+/**
+ * Cache store in an append-only NDJSON file that can be shared by concurrent runs.
+ * Writes are buffered and appended under a lock file, so a flush costs what changed,
+ * not the size of the cache; later lines win. The file is compacted once superseded
+ * and expired lines outnumber the live ones.
+ */
+class FileCacheStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || DEFAULT_CACHE_FILE
+    this.lockPath = `${this.filePath}.lock`
+    this.flushEvery = options.flushEvery || 50
+    this.lockTimeout = options.lockTimeout || 10000
+    this.staleLockAge = options.staleLockAge || 30000
+    this.compactAfter = options.compactAfter || 1000 // lines before compaction is considered at all
+    this.entries = null // loaded on first use
+    this.dirty = new Map() // key -> entry, or null when deleted
+    this.file = { ino: null, offset: 0, lines: 0 } // how much of the file is in this.entries
+  }
+
+  async get(key) {
+    await this.load()
+    const entry = this.entries.get(key)
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.result
+    }
+    return null
+  }
+
+  async set(key, result, ttl) {
+    await this.load()
+    const entry = createEntry(result, ttl)
+    this.entries.set(key, entry)
+    this.dirty.set(key, entry)
+
+    if (this.dirty.size >= this.flushEvery) {
+      // Another run holding the lock for long only delays our writes until the next flush
+      await this.flush().catch((error) => {
+        if (error.code !== "ELOCKED") {
+          throw error
+        }
+      })
+    }
+  }
+
+  async delete(key) {
+    await this.load()
+    this.entries.delete(key)
+    this.dirty.set(key, null)
+  }
+
+  async clear() {
+    await this.withLock(() => this.rewrite(new Map()))
+    this.dirty.clear()
+  }
+
+  /**
+   * Remove expired entries from the file
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune() {
+    let removed = 0
+    await this.withLock(async () => {
+      await this.readNew({ reload: true })
+      const now = Date.now()
+      for (const [key, entry] of this.entries) {
+        if (entry.expiresAt <= now) {
+          this.entries.delete(key)
+          removed++
+        }
+      }
+      await this.rewrite(this.entries)
+    })
+    return removed
+  }
+
+  async stats() {
+    await this.flush()
+    await this.withLock(() => this.readNew({ reload: true }))
+    let size = 0
+    try {
+      size = (await fs.stat(this.filePath)).size
+    } catch {
+      // No cache file yet
+    }
+    return { backend: "file", file: this.filePath, sizeBytes: size, ...summarize([...this.entries.values()]) }
+  }
+
+  /**
+   * Append pending writes, picking up lines other runs appended meanwhile
+   */
+  async flush() {
+    if (this.dirty.size === 0) {
+      return
+    }
+
+    const pending = new Map(this.dirty)
+    this.dirty.clear()
+
+    try {
+      await this.withLock(async () => {
+        await this.readNew()
+
+        // Lines other runs wrote while we waited are only newer if they were stored later
+        const lines = []
+        for (const [key, entry] of pending) {
+          const current = this.entries.get(key)
+          if (entry === null) {
+            this.entries.delete(key)
+            lines.push(JSON.stringify({ key, deleted: true }))
+          } else if (!current || current.storedAt <= entry.storedAt) {
+            this.entries.set(key, entry)
+            lines.push(JSON.stringify({ key, ...entry }))
+          }
+        }
+        await this.append(lines)
+
+        if (this.file.lines > this.compactAfter && this.file.lines > 2 * this.entries.size) {
+          await this.rewrite(this.entries)
+        }
+      })
+    } catch (error) {
+      // Keep the writes for the next flush, unless the key was set again meanwhile
+      for (const [key, entry] of pending) {
+        if (!this.dirty.has(key)) {
+          this.dirty.set(key, entry)
+        }
+      }
+      throw error
+    }
+  }
+
+  async close() {
+    await this.flush()
+  }
+
+  async load() {
+    if (!this.entries) {
+      await this.readNew({ reload: true })
+    }
+  }
+
+  /**
+   * Apply the lines added to the file since the last read; everything again when
+   * the file was replaced (compaction by another run) or reload is asked for
+   */
+  async readNew({ reload = false } = {}) {
+    let handle
+    try {
+      handle = await fs.open(this.filePath, "r")
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error
+      }
+      this.entries = new Map()
+      this.file = { ino: null, offset: 0, lines: 0 }
+      return
+    }
+
+    try {
+      const { ino, size } = await handle.stat()
+      if (reload || !this.entries || ino !== this.file.ino || size < this.file.offset) {
+        this.entries = new Map()
+        this.file = { ino, offset: 0, lines: 0 }
+      }
+      if (size === this.file.offset) {
+        return
+      }
+
+      const buffer = Buffer.alloc(size - this.file.offset)
+      await handle.read(buffer, 0, buffer.length, this.file.offset)
+      // A run appending right now may have left half a line; it is read next time
+      const complete = buffer.lastIndexOf(0x0a) + 1
+      for (const line of buffer.toString("utf-8", 0, complete).split("\n")) {
+        this.applyLine(line)
+      }
+      this.file.offset += complete
+    } finally {
+      await handle.close()
+    }
+  }
+
+  applyLine(line) {
+    if (!line) {
+      return
+    }
+    this.file.lines++
+    let record
+    try {
+      record = JSON.parse(line)
+    } catch {
+      return // a damaged line loses one entry, not the cache
+    }
+
+    const { key, deleted, ...entry } = record
+    if (deleted) {
+      this.entries.delete(key)
+      return
+    }
+    const current = this.entries.get(key)
+    if (!current || current.storedAt <= entry.storedAt) {
+      this.entries.set(key, entry)
+    }
+  }
+
+  async append(lines) {
+    if (lines.length === 0) {
+      return
+    }
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+    const data = `${lines.join("\n")}\n`
+    await fs.appendFile(this.filePath, data)
+    const { ino } = await fs.stat(this.filePath)
+    this.file = { ino, offset: this.file.offset + Buffer.byteLength(data), lines: this.file.lines + lines.length }
+  }
+
+  /**
+   * Replace the file with one line per live entry, through a temp file and rename
+   * so readers never see a partial file
+   */
+  async rewrite(entries) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+    const now = Date.now()
+    const lines = [...entries]
+      .filter(([, entry]) => entry.expiresAt > now)
+      .map(([key, entry]) => `${JSON.stringify({ key, ...entry })}\n`)
+    const data = lines.join("")
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`
+    await fs.writeFile(tmpPath, data)
+    await fs.rename(tmpPath, this.filePath)
+
+    const { ino } = await fs.stat(this.filePath)
+    this.entries = new Map([...entries].filter(([, entry]) => entry.expiresAt > now))
+    this.file = { ino, offset: Buffer.byteLength(data), lines: lines.length }
+  }
+
+  /**
+   * Run fn while holding the lock file, breaking locks left by crashed runs
+   */
+  async withLock(fn) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+    const deadline = Date.now() + this.lockTimeout
+
+    while (true) {
+      try {
+        const handle = await fs.open(this.lockPath, "wx")
+        await handle.writeFile(String(process.pid))
+        await handle.close()
+        break
+      } catch (error) {
+        if (error.code !== "EEXIST") {
+          throw error
+        }
+
+        const stat = await fs.stat(this.lockPath).catch(() => null)
+        if (stat && Date.now() - stat.mtimeMs > this.staleLockAge) {
+          await fs.unlink(this.lockPath).catch(() => {})
+          continue
+        }
+        if (Date.now() > deadline) {
+          throw Object.assign(new Error(`Timed out waiting for cache lock ${this.lockPath}`), { code: "ELOCKED" })
+        }
+        await new Promise((resolve) => setTimeout(resolve, 50))
+      }
+    }
+
+    try {
+      return await fn()
+    } finally {
+      await fs.unlink(this.lockPath).catch(() => {})
+    }
+  }
+}
+
+export { MemoryCacheStore, FileCacheStore, DEFAULT_CACHE_FILE, DEFAULT_CACHE_TTLS }
@@ -0,0 +1,113 @@
+import fs from "fs/promises"
+import path from "path"
+
+const MINUTE = 60 * 1000
+
+// Greylisting servers usually accept the same sender/recipient again after 5-15 minutes
+const DEFAULT_RETRY_DELAYS = [5 * MINUTE, 15 * MINUTE, 60 * MINUTE]
+
+/**
+ * Check whether a temporary failure was classified as greylisting (see classifyReply)
+ */
+function isGreylisted(result) {
+  return result.reason === "greylisted"
+}
+
+/**
+ * Addresses that got a 4xx reply, waiting to be retried later. Saved to disk so
+ * a later run (the `retry` CLI command) can finish them.
+ */
+class RetryQueue {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null // null keeps the queue in memory
+    this.delays = options.delays || DEFAULT_RETRY_DELAYS
+    this.resultsFile = options.resultsFile || null // results file the retries are merged into
+    this.exportFile = options.exportFile || null // export (csv, tsv, ...) rewritten along with it
+    this.exportOptions = options.exportOptions || null // format, fields, delimiter, encoding of that export
+    this.entries = new Map() // email -> { email, retries, retryAt, greylisted, smtpResponse }
+  }
+
+  get size() {
+    return this.entries.size
+  }
+
+  /**
+   * Schedule the next retry for a temporary failure
+   * @param {Object} result - temporary_failure result
+   * @returns {Object|null} Queue entry, or null once every retry delay is used up
+   */
+  defer(result) {
+    const existing = this.entries.get(result.email)
+    const retries = existing ? existing.retries + 1 : 0
+
+    if (retries >= this.delays.length) {
+      this.entries.delete(result.email)
+      return null
+    }
+
+    const entry = {
+      email: result.email,
+      retries,
+      retryAt: Date.now() + this.delays[retries],
+      greylisted: isGreylisted(result),
+      smtpResponse: result.smtpResponse,
+    }
+    this.entries.set(result.email, entry)
+    return entry
+  }
+
+  remove(email) {
+    this.entries.delete(email)
+  }
+
+  /**
+   * Entries whose retry time has come
+   */
+  due(now = Date.now()) {
+    return [...this.entries.values()].filter((entry) => entry.retryAt <= now)
+  }
+
+  /**
+   * Earliest scheduled retry, or null when the queue is empty
+   */
+  nextRetryAt() {
+    const times = [...this.entries.values()].map((entry) => entry.retryAt)
+    return times.length > 0 ? Math.min(...times) : null
+  }
+
+  async load() {
+    const data = JSON.parse(await fs.readFile(this.filePath, "utf-8"))
+    this.resultsFile = data.resultsFile || this.resultsFile
+    this.exportFile = data.exportFile || this.exportFile
+    this.exportOptions = data.export || this.exportOptions
+    this.entries = new Map(data.entries.map((entry) => [entry.email, entry]))
+  }
+
+  /**
+   * Write the queue to disk, or remove the file once nothing is left to retry
+   */
+  async save() {
+    if (!this.filePath) {
+      return
+    }
+
+    if (this.entries.size === 0) {
+      await fs.unlink(this.filePath).catch(() => {})
+      return
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`
+    const data = {
+      version: 1,
+      resultsFile: this.resultsFile,
+      exportFile: this.exportFile,
+      export: this.exportOptions,
+      entries: [...this.entries.values()],
+    }
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2))
+    await fs.rename(tmpPath, this.filePath)
+  }
+}
+
+export { RetryQueue, isGreylisted, DEFAULT_RETRY_DELAYS }
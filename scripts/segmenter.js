@@ -0,0 +1,166 @@
+import fs from "fs/promises"
+import path from "path"
+import { ResultStreamWriter, exportResults, inputHeadersOf } from "./exporter.js"
+
+// Which list each status goes to: send it, look at it first, or keep it off the mailing
+const DEFAULT_SEGMENT_MAP = {
+  valid: "send",
+  catch_all: "review",
+  temporary_failure: "review",
+  invalid: "suppress",
+  mailbox_disabled: "suppress",
+  mailbox_full: "suppress",
+  invalid_format: "suppress",
+  no_mx_record: "suppress",
+  null_mx: "suppress",
+  domain_not_found: "suppress",
+  disposable: "suppress",
+  smtputf8_unsupported: "suppress",
+}
+
+// Statuses the map does not mention (errors, timeouts, ...) need a human
+const DEFAULT_SEGMENT = "review"
+
+/**
+ * Segment names end up in file names, so keep them to letters, digits, - and _
+ */
+function isValidSegmentName(name) {
+  return /^[\w-]+$/.test(name)
+}
+
+/**
+ * Decide the segment of a result
+ * @param {Object} result
+ * @param {Object} map - status -> segment; "*" sets the segment for unmapped statuses
+ */
+function segmentOf(result, map = DEFAULT_SEGMENT_MAP) {
+  return map[result.status] || map["*"] || DEFAULT_SEGMENT
+}
+
+/**
+ * Every segment a map can produce, in first-seen order
+ */
+function segmentNames(map) {
+  return [...new Set([...Object.values(map), map["*"] || DEFAULT_SEGMENT])]
+}
+
+/**
+ * Name a segment file after the results file: results.json -> results.send.csv
+ */
+function segmentPath(resultsFile, segment, format = "csv") {
+  return `${resultsFile.replace(/\.(nd)?json$/, "")}.${segment}.${format}`
+}
+
+/**
+ * Name the manifest listing the segments of a results file: results.json -> results.segments.json
+ */
+function manifestPath(resultsFile) {
+  return `${resultsFile.replace(/\.(nd)?json$/, "")}.segments.json`
+}
+
+/**
+ * Write the manifest: counts and files of each segment, paths relative to the manifest
+ */
+async function writeManifest(resultsFile, map, format, segments) {
+  const manifestFile = manifestPath(resultsFile)
+  const dir = path.dirname(manifestFile)
+  const manifest = {
+    createdAt: new Date().toISOString(),
+    resultsFile: path.relative(dir, resultsFile),
+    format,
+    total: Object.values(segments).reduce((sum, { count }) => sum + count, 0),
+    map,
+    segments: Object.fromEntries(
+      Object.entries(segments).map(([name, { count, file }]) => [name, { count, file: path.relative(dir, file) }]),
+    ),
+  }
+
+  await fs.writeFile(manifestFile, JSON.stringify(manifest, null, 2))
+  return { manifestFile, manifest }
+}
+
+/**
+ * Split a complete result set into one export file per segment, plus the manifest
+ * @param {Object[]} results
+ * @param {string} resultsFile - Results file the segment files are named after
+ * @param {Object} [options] - map, format, fields, delimiter, encoding; reportFor(results) for html
+ * @returns {Promise<Object>} { manifestFile, manifest }
+ */
+async function writeSegments(results, resultsFile, options = {}) {
+  const map = options.map || DEFAULT_SEGMENT_MAP
+  const format = options.format || "csv"
+  const groups = Object.fromEntries(segmentNames(map).map((name) => [name, []]))
+  results.forEach((result) => groups[segmentOf(result, map)].push(result))
+  // Every segment file gets the same columns, even one left empty
+  const inputHeaders = inputHeadersOf(results)
+
+  const segments = {}
+  for (const [name, group] of Object.entries(groups)) {
+    const file = segmentPath(resultsFile, name, format)
+    const report = format === "html" && options.reportFor ? options.reportFor(group) : undefined
+    await exportResults(group, file, { ...options, format, report, inputHeaders })
+    segments[name] = { count: group.length, file }
+  }
+
+  return writeManifest(resultsFile, map, format, segments)
+}
+
+/**
+ * Streaming counterpart of writeSegments(): appends each result to its segment's
+ * file as it arrives (csv, tsv or ndjson) and writes the manifest on close
+ */
+class SegmentWriter {
+  /**
+   * @param {string} resultsFile - Results file the segment files are named after
+   * @param {Object} [options] - map, format, fields, delimiter, encoding
+   */
+  constructor(resultsFile, options = {}) {
+    this.resultsFile = resultsFile
+    this.map = options.map || DEFAULT_SEGMENT_MAP
+    this.format = options.format || "csv"
+    this.segments = {}
+    this.inputHeaders = undefined // CSV passthrough columns, known from the first result
+
+    for (const name of segmentNames(this.map)) {
+      const file = segmentPath(resultsFile, name, this.format)
+      this.segments[name] = {
+        file,
+        count: 0,
+        writer: new ResultStreamWriter({ ...options, format: this.format, exportFile: file }),
+      }
+    }
+  }
+
+  async write(results) {
+    for (const result of results) {
+      // The first result tells the input columns, which every segment file then uses, even one left empty
+      if (this.inputHeaders === undefined) {
+        this.inputHeaders = result.input ? Object.keys(result.input) : null
+        Object.values(this.segments).forEach(({ writer }) => (writer.inputHeaders = this.inputHeaders))
+      }
+      const segment = this.segments[segmentOf(result, this.map)]
+      await segment.writer.write([result])
+      segment.count++
+    }
+  }
+
+  /**
+   * Finish the segment files and write the manifest
+   * @returns {Promise<Object>} { manifestFile, manifest }
+   */
+  async close() {
+    await Promise.all(Object.values(this.segments).map(({ writer }) => writer.close()))
+    return writeManifest(this.resultsFile, this.map, this.format, this.segments)
+  }
+}
+
+export {
+  SegmentWriter,
+  writeSegments,
+  segmentOf,
+  segmentPath,
+  manifestPath,
+  isValidSegmentName,
+  DEFAULT_SEGMENT_MAP,
+  DEFAULT_SEGMENT,
+}
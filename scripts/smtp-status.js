@@ -0,0 +1,112 @@
+// RFC 3463 enhanced status code after the basic code: class.subject.detail, e.g. "550 5.1.1 ..."
+const ENHANCED_CODE = /^([245])\.(\d{1,3})\.(\d{1,3})(?=\s|$)/
+
+// Provider wording for replies that carry no enhanced code, or only a generic one (X.0.0).
+// Checked in this order: a reply naming both a block and an unknown user is a block.
+const PHRASES = [
+  ["relay_denied", [/relay(ing)? (access )?(denied|not permitted|prohibited)|(unable|not allowed) to relay/i]],
+  [
+    "ip_blocklisted",
+    [/spamhaus|spamcop|barracuda|sorbs|\b(dns)?[br]bl\b|\[BL\d+\]/i, /black ?list|block ?list|listed (at|in|on|by)/i],
+  ],
+  ["policy_block", [/\bblocked\b|\bbanned\b|reputation|\bpolicy\b|\bspam\b|unsolicited|(access )?denied by/i]],
+  ["greylisted", [/gr[ae]y ?[- ]?list/i]],
+  ["throttled", [/rate limit|too many (connections|messages|recipients|requests)|try again later|slow down/i]],
+  ["mailbox_full", [/quota|mailbox (is )?full|over (the )?(storage )?limit|insufficient (system )?storage/i]],
+  ["mailbox_disabled", [/disabled|deactivated|inactive|suspended|no longer (active|available)|mailbox (is )?locked/i]],
+  [
+    "mailbox_not_found",
+    [
+      /user (is )?unknown|unknown (user|recipient|mailbox)|no such (user|mailbox|recipient)|does ?n[o']t exist/i,
+      /not found|invalid (recipient|mailbox|address)|recipient (address )?rejected|mailbox unavailable/i,
+    ],
+  ],
+]
+
+// Reasons that say something about the mail server's view of us, not about the mailbox
+const BLOCK_REASONS = new Set(["ip_blocklisted", "policy_block", "throttled"])
+// Reasons an X.7.X (security or policy) reply can have; greylisting often comes as 4.7.1
+const POLICY_REASONS = new Set([...BLOCK_REASONS, "relay_denied", "greylisted"])
+
+/**
+ * Enhanced status code of a reply, e.g. { code: "5.1.1", class: 5, subject: 1, detail: 1 }
+ * @param {Object} reply - Parsed reply ({ code, lines })
+ * @returns {Object|null} null when the server sent no (consistent) enhanced code
+ */
+function parseEnhancedStatus(reply) {
+  for (const line of reply.lines) {
+    const match = ENHANCED_CODE.exec(line.substring(4))
+    // The class has to agree with the basic code (RFC 2034)
+    if (match && Number(match[1]) === Math.floor(reply.code / 100)) {
+      const [code, statusClass, subject, detail] = match
+      return { code, class: Number(statusClass), subject: Number(subject), detail: Number(detail) }
+    }
+  }
+  return null
+}
+
+/**
+ * Reason named by the enhanced code alone, or null when only the wording can tell
+ */
+function reasonOfEnhancedStatus({ subject, detail }) {
+  switch (subject) {
+    case 1:
+      // X.1.1 bad mailbox, X.1.2 bad domain, X.1.3 bad syntax, X.1.6 mailbox moved
+      return { 1: "mailbox_not_found", 2: "bad_domain", 3: "bad_address", 6: "mailbox_not_found" }[detail] || null
+    case 2:
+      // X.2.1 mailbox disabled, X.2.2 mailbox full
+      return { 1: "mailbox_disabled", 2: "mailbox_full" }[detail] || null
+    case 3:
+      return "mail_system_error"
+    case 4:
+      return "routing_error"
+    case 5:
+      return "protocol_error"
+    default:
+      // X.7.X security or policy: the wording tells a blocklisted IP from relaying or other policy
+      return null
+  }
+}
+
+/**
+ * Why a server answered the way it did: the enhanced status code when it is
+ * specific, otherwise known provider phrases, e.g.
+ * "550 5.7.1 Service unavailable; client host blocked using Spamhaus" -> ip_blocklisted
+ * @param {Object} reply - Parsed reply ({ code, lines, line })
+ * @returns {Object} { reason, enhancedCode }, reason "unclassified" when nothing matched
+ */
+function classifyReply(reply) {
+  const enhanced = parseEnhancedStatus(reply)
+  const enhancedCode = enhanced?.code || null
+
+  const fromCode = enhanced ? reasonOfEnhancedStatus(enhanced) : null
+  if (fromCode) {
+    return { reason: fromCode, enhancedCode }
+  }
+
+  // An X.7.X code is a security or policy refusal, whatever the wording says about the mailbox
+  const policy = enhanced?.subject === 7
+  const text = reply.lines.map((line) => line.substring(4)).join(" ")
+  const matched = PHRASES.find(
+    ([reason, patterns]) => (!policy || POLICY_REASONS.has(reason)) && patterns.some((pattern) => pattern.test(text)),
+  )
+  if (matched) {
+    return { reason: matched[0], enhancedCode }
+  }
+  if (policy) {
+    return { reason: "policy_block", enhancedCode }
+  }
+  if (reply.code === 450 || reply.code === 451) {
+    return { reason: "greylisted", enhancedCode }
+  }
+  return { reason: "unclassified", enhancedCode }
+}
+
+/**
+ * Whether a reason means the server refused us (blocklisted IP, policy, rate limit)
+ */
+function isBlockReason(reason) {
+  return BLOCK_REASONS.has(reason)
+}
+
+export { parseEnhancedStatus, classifyReply, isBlockReason }
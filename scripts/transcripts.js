@@ -0,0 +1,104 @@
+import fs from "fs/promises"
+import { createWriteStream } from "fs"
+import { once } from "events"
+
+/**
+ * Name the transcript file after the results file: results.json -> results.transcripts.ndjson
+ */
+function transcriptPath(resultsFile) {
+  return `${resultsFile.replace(/\.(nd)?json$/, "")}.transcripts.ndjson`
+}
+
+/**
+ * Failed addresses whose verification reached a mail server have a conversation worth keeping,
+ * and so do addresses left unchecked because the server blocked the verifier
+ */
+function hasFailedTranscript(result) {
+  return (result.isValid === false || result.status === "blocked") && result.transcript?.length > 0
+}
+
+/**
+ * One line of the transcript file: the verdict and every session that led to it
+ */
+function transcriptRecord(result) {
+  return {
+    email: result.email,
+    status: result.status,
+    message: result.message,
+    smtpResponse: result.smtpResponse,
+    provider: result.provider,
+    transcript: result.transcript,
+  }
+}
+
+/**
+ * Transcript as readable lines, e.g. "2026-10-19T16:11:02.094Z S: 250 OK" (C: sent, S: received)
+ * @param {Object[]} transcript - result.transcript
+ * @returns {string[]}
+ */
+function formatTranscript(transcript) {
+  const prefixes = { sent: "C:", received: "S:", event: "--" }
+  return transcript.flatMap((session) => {
+    const peer = session.remoteAddress ? `${session.remoteAddress}:${session.remotePort}` : "(not connected)"
+    return [
+      `# ${session.mxHost} ${peer}`,
+      ...session.entries.flatMap(({ time, direction, lines }) =>
+        lines.map((line) => `${time} ${prefixes[direction]} ${line}`),
+      ),
+    ]
+  })
+}
+
+/**
+ * Write the transcripts of failed addresses, one JSON object per line
+ * @param {Object[]} results
+ * @param {string} resultsFile - Results file the transcript file is named after
+ * @returns {Promise<Object>} { file, count }
+ */
+async function writeTranscripts(results, resultsFile) {
+  const failed = results.filter(hasFailedTranscript)
+  const file = transcriptPath(resultsFile)
+  await fs.writeFile(file, failed.map((result) => `${JSON.stringify(transcriptRecord(result))}\n`).join(""))
+  return { file, count: failed.length }
+}
+
+/**
+ * writeTranscripts for processEmailStream: appends each batch's failed addresses
+ */
+class TranscriptWriter {
+  constructor(resultsFile) {
+    this.file = transcriptPath(resultsFile)
+    this.output = createWriteStream(this.file)
+    this.count = 0
+    this.error = null
+    this.output.on("error", (error) => {
+      this.error = error
+    })
+  }
+
+  async write(results) {
+    for (const result of results.filter(hasFailedTranscript)) {
+      if (this.error) {
+        throw this.error
+      }
+      if (!this.output.write(`${JSON.stringify(transcriptRecord(result))}\n`)) {
+        await once(this.output, "drain")
+      }
+      this.count++
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} { file, count }
+   */
+  async close() {
+    if (this.error) {
+      throw this.error
+    }
+    this.output.end()
+    await once(this.output, "finish")
+    return { file: this.file, count: this.count }
+  }
+}
+
+export { TranscriptWriter, writeTranscripts, formatTranscript, transcriptPath, hasFailedTranscript }
@@ -0,0 +1,134 @@
+import { join } from "path"
+import { DATA_DIR, readList } from "./list-loader.js"
+
+const DEFAULT_DOMAINS_FILES = [join(DATA_DIR, "popular-domains.txt"), join(DATA_DIR, "free-providers.txt")]
+const DEFAULT_TLDS_FILE = join(DATA_DIR, "popular-tlds.txt")
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and adjacent
+ * transpositions ("gmial" -> "gmail" is one edit)
+ */
+function editDistance(a, b) {
+  const rows = a.length + 1
+  const cols = b.length + 1
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)])
+  for (let j = 0; j < cols; j++) {
+    d[0][j] = j
+  }
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+      }
+    }
+  }
+
+  return d[rows - 1][cols - 1]
+}
+
+/**
+ * Find the closest candidate within maxDistance that passes the accept check, or null
+ */
+function closest(value, candidates, maxDistance, accept = () => true) {
+  let best = null
+  let bestDistance = maxDistance + 1
+
+  for (const candidate of candidates) {
+    const distance = editDistance(value, candidate)
+    if (distance < bestDistance && !accept(candidate)) {
+      continue
+    }
+    if (distance < bestDistance) {
+      best = candidate
+      bestDistance = distance
+    }
+  }
+
+  return best
+}
+
+/**
+ * Suggests corrections for mistyped email domains ("did you mean")
+ */
+class TypoSuggester {
+  constructor(options = {}) {
+    this.domains = new Set([
+      ...(options.popularDomainsFiles || DEFAULT_DOMAINS_FILES).flatMap(readList),
+      ...(options.popularDomains || []).map((domain) => domain.toLowerCase()),
+    ])
+    this.tlds = new Set(readList(options.popularTldsFile || DEFAULT_TLDS_FILE))
+    this.maxDistance = options.typoMaxDistance || 2
+  }
+
+  /**
+   * Suggest a corrected domain, or null when the domain looks fine
+   */
+  suggestDomain(domain) {
+    if (!domain) {
+      return null
+    }
+
+    const normalized = domain.toLowerCase()
+    if (this.domains.has(normalized)) {
+      return null
+    }
+
+    // Short domains are too close to everything to guess safely
+    const maxDistance = Math.min(this.maxDistance, Math.floor(normalized.length / 4))
+    // The mailbox name must be close too, or acme.com would become me.com
+    const name = normalized.split(".")[0]
+    const domainMatch = closest(normalized, this.domains, maxDistance, (candidate) => {
+      const candidateName = candidate.split(".")[0]
+      return editDistance(name, candidateName) <= Math.floor(candidateName.length / 3)
+    })
+    if (domainMatch) {
+      return domainMatch
+    }
+
+    // Otherwise only the TLD may be wrong: example.con -> example.com
+    const labels = normalized.split(".")
+    for (let i = 1; i < labels.length; i++) {
+      const tld = labels.slice(i).join(".")
+      if (this.tlds.has(tld)) {
+        return null
+      }
+    }
+
+    // Two-letter country codes are one edit away from each other, leave them alone
+    const tld = labels.pop()
+    if (tld.length < 3) {
+      return null
+    }
+    const tldMatch = closest(
+      tld,
+      [...this.tlds].filter((candidate) => candidate.length >= 3),
+      1,
+    )
+    return tldMatch ? `${labels.join(".")}.${tldMatch}` : null
+  }
+
+  /**
+   * Suggest a corrected email address, or null when the domain looks fine
+   */
+  suggest(localPart, domain) {
+    const suggestedDomain = this.suggestDomain(domain)
+    return suggestedDomain ? `${localPart}@${suggestedDomain}` : null
+  }
+}
+
+let defaultSuggester = null
+
+/**
+ * Get the suggester for the bundled lists, loaded once per process
+ */
+function getDefaultTypoSuggester() {
+  if (!defaultSuggester) {
+    defaultSuggester = new TypoSuggester()
+  }
+  return defaultSuggester
+}
+
+export { TypoSuggester, getDefaultTypoSuggester }
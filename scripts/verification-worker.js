@@ -0,0 +1,76 @@
+import { parentPort, workerData, threadId } from "worker_threads"
+import { AdvancedEmailVerifier } from "./advanced-email-verifier.js"
+import { RateScheduler } from "./rate-scheduler.js"
+import { MemoryCacheStore } from "./result-cache.js"
+import { defaultLogger } from "./logger.js"
+
+/**
+ * Stands in for the RateScheduler of the main thread, so every worker draws on
+ * the same per-provider budgets
+ */
+class RemoteScheduler {
+  constructor(port, options) {
+    this.port = port
+    this.nextId = 0
+    this.waiting = new Map() // request id -> resolve
+    this.keys = new RateScheduler(options) // only maps MX hosts to keys; budgets are the main thread's
+  }
+
+  getKey(mxHost) {
+    return this.keys.getKey(mxHost)
+  }
+
+  acquire(mxHost, count = 1) {
+    const id = this.nextId++
+    return new Promise((resolve) => {
+      this.waiting.set(id, resolve)
+      this.port.postMessage({ type: "acquire", id, mxHost, count })
+    })
+  }
+
+  complete(key, count = 1) {
+    this.port.postMessage({ type: "complete", key, count })
+  }
+
+  granted({ id, key }) {
+    this.waiting.get(id)?.(key)
+    this.waiting.delete(id)
+  }
+
+  getThroughput() {
+    return {}
+  }
+
+  reset() {}
+}
+
+// Loggers cannot cross threads: log like the main thread does, with the thread in the context
+const { log, ...options } = workerData.options
+const logger = defaultLogger.configure(log).child({ threadId })
+
+// Cache lookups happen on the main thread before work is handed out; this store is never read
+const scheduler = new RemoteScheduler(parentPort, options)
+const verifier = new AdvancedEmailVerifier({ ...options, cacheStore: new MemoryCacheStore(), scheduler, logger })
+
+parentPort.on("message", async (message) => {
+  if (message.type === "acquired") {
+    scheduler.granted(message)
+    return
+  }
+
+  if (message.type === "verify") {
+    try {
+      // Catch-all verdicts live on the main thread: take the known ones, send back only new ones
+      verifier.catchAllDomains.merge(message.catchAll)
+      // One round: every session of the task runs at once, the rate scheduler does the pacing
+      const results = await verifier.verifyMultiple(message.emails, { concurrency: message.emails.length })
+      const catchAll = verifier.catchAllDomains.pick(message.emails)
+      for (const domain of Object.keys(message.catchAll)) {
+        delete catchAll[domain]
+      }
+      parentPort.postMessage({ type: "results", id: message.id, results, catchAll })
+    } catch (error) {
+      parentPort.postMessage({ type: "failed", id: message.id, message: error.message })
+    }
+  }
+})
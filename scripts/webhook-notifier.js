@@ -0,0 +1,177 @@
+import http from "http"
+import https from "https"
+import crypto from "crypto"
+import { loggerFor } from "./logger.js"
+
+const DEFAULT_WEBHOOK_OPTIONS = {
+  retries: 5, // after the first attempt
+  backoff: 1000, // first retry delay, doubled for each further retry
+  maxBackoff: 60000,
+  timeout: 10000,
+  progressInterval: 30000, // at most one progress event this often
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Sign a webhook body: HMAC-SHA256 of "<timestamp>.<body>" with the shared secret
+ * @returns {string} Hex digest
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+}
+
+/**
+ * Check a received webhook on the receiving side
+ * @param {string} body - Raw request body
+ * @param {Object} headers - Request headers (lower-case names, as Node gives them)
+ * @param {string} secret - Shared secret
+ * @param {number} [tolerance] - Oldest timestamp accepted, in ms, against replays
+ * @returns {boolean}
+ */
+function verifySignature(body, headers, secret, tolerance = 5 * 60 * 1000) {
+  const timestamp = Number(headers["x-webhook-timestamp"])
+  const signature = /^sha256=([0-9a-f]{64})$/.exec(headers["x-webhook-signature"] || "")?.[1]
+  if (!signature || !timestamp || Math.abs(Date.now() - timestamp * 1000) > tolerance) {
+    return false
+  }
+  const expected = Buffer.from(signPayload(secret, timestamp, body), "hex")
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, "hex"))
+}
+
+/**
+ * Posts signed job events (started, progress, completed, ...) to a webhook URL.
+ * Deliveries run in the background in order and are retried with exponential
+ * backoff; a receiver that stays down is logged, never allowed to fail the job.
+ */
+class WebhookNotifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - http(s) URL receiving the POSTs
+   * @param {string} [options.secret] - Shared secret for the X-Webhook-Signature header
+   * @param {string} [options.jobId] - Job the events belong to
+   * @param {number} [options.retries]
+   * @param {number} [options.backoff]
+   * @param {number} [options.timeout]
+   * @param {number} [options.progressInterval]
+   * @param {Logger} [options.logger]
+   */
+  constructor(options = {}) {
+    const url = new URL(options.url)
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new Error(`Webhook URL must be http or https: ${options.url}`)
+    }
+
+    this.url = url
+    this.secret = options.secret || null
+    this.jobId = options.jobId || null
+    this.options = { ...DEFAULT_WEBHOOK_OPTIONS }
+    for (const key of Object.keys(DEFAULT_WEBHOOK_OPTIONS)) {
+      if (options[key] !== undefined && options[key] !== null) {
+        this.options[key] = options[key]
+      }
+    }
+
+    this.queue = Promise.resolve()
+    this.lastProgressAt = 0
+    this.progressPending = false
+    this.delivered = 0
+    this.failed = 0
+    this.logger = loggerFor("WebhookNotifier", options)
+  }
+
+  /**
+   * Queue an event for delivery
+   * @param {string} event - e.g. job.started, job.progress, job.completed
+   * @param {Object} data - Event payload
+   */
+  notify(event, data) {
+    const payload = { id: crypto.randomUUID(), event, jobId: this.jobId, createdAt: new Date().toISOString(), data }
+    this.queue = this.queue.then(() => this.deliver(payload))
+    return this.queue
+  }
+
+  /**
+   * Queue a progress event unless one was sent within progressInterval or is still waiting
+   */
+  progress(data) {
+    const now = Date.now()
+    if (this.progressPending || now - this.lastProgressAt < this.options.progressInterval) {
+      return
+    }
+    this.lastProgressAt = now
+    this.progressPending = true
+    this.notify("job.progress", data).finally(() => {
+      this.progressPending = false
+    })
+  }
+
+  /**
+   * Wait until every queued event was delivered or given up on
+   */
+  flush() {
+    return this.queue
+  }
+
+  async deliver(payload) {
+    const body = JSON.stringify(payload)
+    let lastError
+
+    for (let attempt = 0; attempt <= this.options.retries; attempt++) {
+      if (attempt > 0) {
+        const delay = Math.min(this.options.maxBackoff, this.options.backoff * 2 ** (attempt - 1))
+        await sleep(delay + Math.random() * delay * 0.1)
+      }
+
+      try {
+        const status = await this.post(body)
+        if (status >= 200 && status < 300) {
+          this.logger.debug(`Webhook ${payload.event} delivered`, { jobId: this.jobId, attempt: attempt + 1 })
+          this.delivered++
+          return true
+        }
+        lastError = new Error(`HTTP ${status}`)
+        // Anything but a timeout, throttling or server error will fail the same way again
+        if (status < 500 && status !== 408 && status !== 429) {
+          break
+        }
+      } catch (error) {
+        lastError = error
+      }
+    }
+
+    this.failed++
+    this.logger.error(`Webhook ${payload.event} to ${this.url.origin} failed`, { jobId: this.jobId, error: lastError })
+    return false
+  }
+
+  /**
+   * POST one body
+   * @returns {Promise<number>} HTTP status
+   */
+  post(body) {
+    const timestamp = Math.floor(Date.now() / 1000)
+    const headers = {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(body),
+      "User-Agent": "email-verifier-webhook",
+      "X-Webhook-Timestamp": String(timestamp),
+    }
+    if (this.secret) {
+      headers["X-Webhook-Signature"] = `sha256=${signPayload(this.secret, timestamp, body)}`
+    }
+
+    const transport = this.url.protocol === "https:" ? https : http
+    return new Promise((resolve, reject) => {
+      const req = transport.request(this.url, { method: "POST", headers, timeout: this.options.timeout }, (res) => {
+        res.resume()
+        res.on("end", () => resolve(res.statusCode))
+      })
+      req.on("timeout", () => req.destroy(new Error(`No response within ${this.options.timeout}ms`)))
+      req.on("error", reject)
+      req.end(body)
+    })
+  }
+}
+
+export { WebhookNotifier, signPayload, verifySignature, DEFAULT_WEBHOOK_OPTIONS }
@@ -0,0 +1,215 @@
+import { Worker } from "worker_threads"
+import { loggerFor } from "./logger.js"
+
+const WORKER_FILE = new URL("./verification-worker.js", import.meta.url)
+
+/**
+ * Domain of an address, used to keep addresses on one domain in one task (and so one SMTP session)
+ */
+function domainOf(email) {
+  const at = String(email).lastIndexOf("@")
+  return at >= 0 ? email.slice(at + 1).toLowerCase() : ""
+}
+
+/**
+ * Runs SMTP verification on worker threads. Workers pull tasks from one shared
+ * queue; the result cache, the per-provider rate scheduler and the catch-all
+ * verdicts stay on the main thread (in `verifier`), so limits hold across all
+ * workers and no two workers probe the same domain one after the other.
+ */
+class WorkerPool {
+  /**
+   * @param {Object} options
+   * @param {number} options.workers - Number of worker threads
+   * @param {AdvancedEmailVerifier} options.verifier - Main-thread verifier whose cache and scheduler are shared
+   * @param {Object} [options.workerOptions] - Verifier options for the workers (must be cloneable)
+   * @param {number} [options.concurrency] - Tasks in flight per worker (default 3)
+   * @param {number} [options.taskSize] - Most addresses per task (default: the verifier's recipientsPerSession)
+   * @param {Logger} [options.logger]
+   */
+  constructor(options) {
+    this.size = options.workers
+    this.verifier = options.verifier
+    this.workerOptions = options.workerOptions || {}
+    this.concurrency = options.concurrency || 3
+    this.taskSize = options.taskSize || this.verifier.recipientsPerSession || 25
+    this.queue = [] // tasks waiting for a worker
+    this.workers = []
+    this.nextTaskId = 0
+    this.closed = false
+    this.logger = loggerFor("WorkerPool", options)
+  }
+
+  /**
+   * Same contract as AdvancedEmailVerifier.verifyMultipleAdvanced: cached results
+   * are served here, the rest are verified by the workers and cached
+   * @param {string[]} emails
+   * @returns {Promise<Object[]>} Results in the same order as emails
+   */
+  async verifyMultipleAdvanced(emails) {
+    const results = new Array(emails.length)
+    const pending = []
+
+    for (const [index, email] of emails.entries()) {
+      const cached = await this.verifier.getFromCache(email)
+      if (cached) {
+        results[index] = { ...cached, fromCache: true }
+      } else {
+        pending.push({ email, index })
+      }
+    }
+
+    await Promise.all(
+      this.createTasks(pending).map(async (entries) => {
+        const verified = await this.run(entries.map(({ email }) => email))
+        for (const [j, { email, index }] of entries.entries()) {
+          await this.verifier.addToCache(email, verified[j])
+          results[index] = verified[j]
+        }
+      }),
+    )
+
+    return results
+  }
+
+  /**
+   * Pack addresses into tasks of up to taskSize, keeping each domain together
+   */
+  createTasks(entries) {
+    const byDomain = new Map()
+    for (const entry of entries) {
+      const domain = domainOf(entry.email)
+      if (!byDomain.has(domain)) {
+        byDomain.set(domain, [])
+      }
+      byDomain.get(domain).push(entry)
+    }
+
+    const tasks = []
+    let current = []
+    for (const group of byDomain.values()) {
+      for (let i = 0; i < group.length; i += this.taskSize) {
+        const chunk = group.slice(i, i + this.taskSize)
+        if (current.length + chunk.length > this.taskSize) {
+          tasks.push(current)
+          current = []
+        }
+        current.push(...chunk)
+      }
+    }
+    if (current.length > 0) {
+      tasks.push(current)
+    }
+    return tasks
+  }
+
+  /**
+   * Queue one task and wait for its results
+   */
+  run(emails) {
+    if (this.closed) {
+      return Promise.reject(new Error("Worker pool is closed"))
+    }
+    return new Promise((resolve) => {
+      this.queue.push({ id: this.nextTaskId++, emails, resolve })
+      this.dispatch()
+    })
+  }
+
+  dispatch() {
+    while (this.workers.length < this.size) {
+      this.spawn()
+    }
+
+    for (const slot of this.workers) {
+      while (slot.inFlight.size < this.concurrency && this.queue.length > 0) {
+        const task = this.queue.shift()
+        slot.inFlight.set(task.id, task)
+        // Busy workers keep the process alive, idle ones do not
+        slot.worker.ref()
+        // Verdicts are picked at dispatch, so a queued task sees what earlier tasks found
+        const catchAll = this.verifier.catchAllDomains.pick(task.emails)
+        slot.worker.postMessage({ type: "verify", id: task.id, emails: task.emails, catchAll })
+      }
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(WORKER_FILE, { workerData: { options: this.workerOptions } })
+    const slot = { worker, inFlight: new Map(), online: false }
+    worker.unref()
+
+    worker.on("online", () => {
+      slot.online = true
+    })
+    worker.on("message", (message) => this.handleMessage(slot, message))
+    worker.on("error", (error) => this.logger.error("Verification worker failed", { threadId: worker.threadId, error }))
+    worker.on("exit", () => {
+      this.workers = this.workers.filter((other) => other !== slot)
+      const failed = [...slot.inFlight.values()]
+      slot.inFlight.clear()
+
+      // A worker that never started will not start next time either: fail the queue instead of respawning
+      if (!slot.online && !this.closed) {
+        failed.push(...this.queue)
+        this.queue = []
+      }
+      for (const task of failed) {
+        task.resolve(task.emails.map((email) => this.failedResult(email, "Verification worker exited")))
+      }
+
+      // A crashed worker fails only its own tasks; a replacement picks up the queue
+      if (!this.closed && this.queue.length > 0) {
+        this.dispatch()
+      }
+    })
+
+    this.workers.push(slot)
+  }
+
+  async handleMessage(slot, message) {
+    switch (message.type) {
+      case "acquire": {
+        const key = await this.verifier.scheduler.acquire(message.mxHost, message.count)
+        slot.worker.postMessage({ type: "acquired", id: message.id, key })
+        break
+      }
+      case "complete":
+        this.verifier.scheduler.complete(message.key, message.count)
+        break
+      case "results":
+      case "failed": {
+        const task = slot.inFlight.get(message.id)
+        slot.inFlight.delete(message.id)
+        if (slot.inFlight.size === 0) {
+          slot.worker.unref()
+        }
+        if (message.catchAll) {
+          this.verifier.catchAllDomains.merge(message.catchAll)
+        }
+        task?.resolve(
+          message.type === "results"
+            ? message.results
+            : task.emails.map((email) => this.failedResult(email, message.message)),
+        )
+        this.dispatch()
+        break
+      }
+    }
+  }
+
+  failedResult(email, message) {
+    return this.verifier.enrichResult({ email, isValid: false, status: "error", message })
+  }
+
+  /**
+   * Stop all workers; queued tasks are not run
+   */
+  async close() {
+    this.closed = true
+    this.queue = []
+    await Promise.all(this.workers.map(({ worker }) => worker.terminate()))
+  }
+}
+
+export { WorkerPool }
@@ -0,0 +1,47 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { AddressClassifier } from "../scripts/address-classifier.js"
+
+test("role mailboxes are recognized by local part", () => {
+  const classifier = new AddressClassifier()
+  const cases = [
+    ["admin", true],
+    ["Support", true],
+    ["noreply", true],
+    ["postmaster", true],
+    // Sub-addressing and quoting do not hide the role
+    ["sales+leads", true],
+    ['"info"', true],
+    ["alice", false],
+    ["administrator.jones", false],
+    ["", false],
+  ]
+  for (const [localPart, role] of cases) {
+    assert.equal(classifier.isRole(localPart), role, localPart)
+  }
+})
+
+test("free providers are matched by exact domain", () => {
+  const classifier = new AddressClassifier()
+  const cases = [
+    ["gmail.com", true],
+    ["Yahoo.com", true],
+    ["outlook.com", true],
+    ["example.com", false],
+    // Subdomains are somebody else's mail
+    ["corp.gmail.com", false],
+    ["", false],
+  ]
+  for (const [domain, free] of cases) {
+    assert.equal(classifier.isFreeProvider(domain), free, domain)
+  }
+})
+
+test("extra entries from options and at runtime are used", () => {
+  const classifier = new AddressClassifier({ roleAccounts: ["Helpdesk"], freeProviders: ["Mail.example"] })
+  classifier.extend({ roleAccounts: ["team"], freeProviders: ["post.example"] })
+  assert.equal(classifier.isRole("helpdesk"), true)
+  assert.equal(classifier.isRole("team+all"), true)
+  assert.equal(classifier.isFreeProvider("mail.example"), true)
+  assert.equal(classifier.isFreeProvider("post.example"), true)
+})
@@ -0,0 +1,89 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { parseAddress } from "../scripts/address-parser.js"
+import { EmailVerifier } from "../scripts/email-verifier.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+test("addresses are parsed into local part and ASCII domain", () => {
+  assert.deepEqual(parseAddress('"john doe"@Example.test'), {
+    valid: true,
+    localPart: '"john doe"',
+    domain: "Example.test",
+    asciiDomain: "example.test",
+    domainLiteral: null,
+    address: '"john doe"@example.test',
+    requiresSmtpUtf8: false,
+  })
+
+  const idn = parseAddress("anna@bücher.test")
+  assert.equal(idn.asciiDomain, "xn--bcher-kva.test")
+  assert.equal(idn.requiresSmtpUtf8, false)
+  assert.equal(parseAddress("θσερ@example.test").requiresSmtpUtf8, true)
+  assert.equal(parseAddress("postmaster@[127.0.0.1]").domainLiteral, "127.0.0.1")
+})
+
+test("invalid addresses name the rule they break", () => {
+  const rules = {
+    "": "empty",
+    "no-at-sign": "missing_at",
+    "john doe@example.test": "whitespace",
+    ".john@example.test": "local_part_dot_position",
+    "john..doe@example.test": "local_part_dot_position",
+  }
+  for (const [email, rule] of Object.entries(rules)) {
+    assert.equal(parseAddress(email).valid, false, email)
+    assert.equal(parseAddress(email).rule, rule, email)
+  }
+})
+
+let dns
+
+before(async () => {
+  dns = await startStubDns({
+    "example.test": { MX: [[10, "127.0.0.1"]] },
+    "xn--bcher-kva.test": { MX: [[10, "127.0.0.1"]] },
+  })
+})
+
+after(() => dns.close())
+
+async function verifyWith(smtpOptions, emails) {
+  const smtp = await startStubSmtp(smtpOptions)
+  try {
+    const verifier = new EmailVerifier({
+      nameservers: [dns.nameserver],
+      smtpPort: smtp.port,
+      detectCatchAll: false,
+      timeout: 2000,
+    })
+    return { results: await verifier.verifyMultiple(emails, { delay: 1 }), commands: smtp.connections.flat() }
+  } finally {
+    await smtp.close()
+  }
+}
+
+test("an IDN domain is sent as its A-label", async () => {
+  const { results, commands } = await verifyWith({ mailboxes: ["anna"] }, ["anna@bücher.test"])
+  assert.equal(results[0].status, "valid")
+  assert.ok(commands.includes("RCPT TO:<anna@xn--bcher-kva.test>"))
+  assert.ok(!commands.some((command) => command.includes("SMTPUTF8")))
+})
+
+test("a UTF-8 mailbox asks for SMTPUTF8, and is not named to a server without it", async () => {
+  const emails = ["θσερ@example.test", "alice@example.test"]
+
+  const supported = await verifyWith({ mailboxes: ["θσερ", "alice"] }, emails)
+  assert.deepEqual(
+    supported.results.map((result) => result.status),
+    ["valid", "valid"],
+  )
+  assert.ok(supported.commands.some((command) => /^MAIL FROM:<[^>]*> SMTPUTF8$/.test(command)))
+
+  const unsupported = await verifyWith({ mailboxes: ["θσερ", "alice"], smtputf8: false }, emails)
+  assert.deepEqual(
+    unsupported.results.map((result) => result.status),
+    ["smtputf8_unsupported", "valid"],
+  )
+  assert.ok(!unsupported.commands.some((command) => command.includes("θσερ")))
+})
@@ -0,0 +1,84 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+import { ApiServer } from "../scripts/api-server.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+let dns, smtp, server, base, jobsDir
+
+before(async () => {
+  dns = await startStubDns({ "api.test": { MX: [[10, "127.0.0.1"]] } })
+  smtp = await startStubSmtp({ mailboxes: ["alice"], replies: { later: "450 4.2.0 Greylisted, try again later" } })
+  jobsDir = await fs.mkdtemp(path.join(os.tmpdir(), "api-jobs-"))
+  server = new ApiServer({
+    port: 0,
+    apiKeys: ["test-key"],
+    jobsDir,
+    nameservers: [dns.nameserver],
+    smtpPort: smtp.port,
+    detectCatchAll: false,
+    timeout: 2000,
+  })
+  const { port } = await server.start()
+  base = `http://127.0.0.1:${port}`
+})
+
+after(async () => {
+  await server.close()
+  await smtp.close()
+  await dns.close()
+  await fs.rm(jobsDir, { recursive: true, force: true })
+})
+
+async function call(method, route, body) {
+  const res = await fetch(`${base}${route}`, {
+    method,
+    headers: { "X-API-Key": "test-key" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  })
+  return { status: res.status, body: await res.json() }
+}
+
+test("job results promise no retry the server will not run", async () => {
+  const created = await call("POST", "/jobs", { emails: ["alice@api.test", "later@api.test"] })
+  assert.equal(created.status, 202)
+  await server.jobs.get(created.body.id).done
+
+  const { body } = await call("GET", `/jobs/${created.body.id}`)
+  assert.equal(body.status, "completed")
+  const later = body.results.find((result) => result.email === "later@api.test")
+  assert.equal(later.status, "temporary_failure")
+  assert.equal(later.retryAt, undefined)
+  assert.equal(body.report.summary.total, 2)
+})
+
+test("finished jobs are read back from their checkpoint", async () => {
+  const created = await call("POST", "/jobs", { emails: ["alice@api.test", "bob@api.test"] })
+  await server.jobs.get(created.body.id).done
+  server.jobs.delete(created.body.id)
+
+  const { status, body } = await call("GET", `/jobs/${created.body.id}`)
+  assert.equal(status, 200)
+  assert.equal(body.status, "completed")
+  assert.deepEqual(
+    body.results.map((result) => result.status),
+    ["valid", "invalid"],
+  )
+  assert.equal(body.report.summary.valid, 1)
+})
+
+test("clients idle for a full window are forgotten", async () => {
+  const limited = new ApiServer({ clientLimit: { requests: 2, window: 100 } })
+  limited.checkClientLimit({ id: "ip:192.0.2.1" })
+  limited.checkClientLimit({ id: "ip:192.0.2.1" })
+  assert.throws(() => limited.checkClientLimit({ id: "ip:192.0.2.1" }), { status: 429 })
+  limited.checkClientLimit({ id: "ip:192.0.2.2" })
+  assert.equal(limited.clientBuckets.size, 2)
+
+  await new Promise((resolve) => setTimeout(resolve, 120))
+  limited.checkClientLimit({ id: "ip:192.0.2.3" })
+  assert.deepEqual([...limited.clientBuckets.keys()], ["ip:192.0.2.3"])
+})
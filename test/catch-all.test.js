@@ -0,0 +1,67 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { EmailVerifier } from "../scripts/email-verifier.js"
+import { CatchAllVerdicts } from "../scripts/catch-all-verdicts.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+let dns
+
+before(async () => {
+  dns = await startStubDns({
+    "accept-all.test": { MX: [[10, "127.0.0.1"]] },
+    "strict.test": { MX: [[10, "127.0.0.1"]] },
+  })
+})
+
+after(() => dns.close())
+
+const recipientsAsked = (smtp) => smtp.connections.flat().filter((command) => command.startsWith("RCPT")).length
+
+test("a catch-all domain is probed once and reported as catch_all", async () => {
+  const smtp = await startStubSmtp({ catchAll: true })
+  try {
+    const verifier = new EmailVerifier({ nameservers: [dns.nameserver], smtpPort: smtp.port, timeout: 2000 })
+    const first = await verifier.verifyEmail("someone@accept-all.test")
+    const second = await verifier.verifyEmail("other@accept-all.test")
+
+    assert.equal(first.status, "catch_all")
+    assert.equal(first.isValid, "unknown")
+    assert.equal(second.status, "catch_all")
+    // Two recipients, one probe: the second address is answered from the remembered verdict
+    assert.equal(recipientsAsked(smtp), 3)
+  } finally {
+    await smtp.close()
+  }
+})
+
+test("a domain rejecting the probe keeps its valid mailboxes valid", async () => {
+  const smtp = await startStubSmtp({ mailboxes: ["alice"] })
+  try {
+    const verifier = new EmailVerifier({ nameservers: [dns.nameserver], smtpPort: smtp.port, timeout: 2000 })
+    const result = await verifier.verifyEmail("alice@strict.test")
+
+    assert.equal(result.status, "valid")
+    assert.equal(result.catchAll, false)
+    assert.equal(verifier.catchAllDomains.get("strict.test"), false)
+  } finally {
+    await smtp.close()
+  }
+})
+
+test("catch-all verdicts expire and are capped", () => {
+  const verdicts = new CatchAllVerdicts({ ttl: 1000, maxDomains: 2 })
+  verdicts.set("a.test", true)
+  verdicts.set("b.test", false)
+  assert.equal(verdicts.get("a.test"), true) // a.test is now the most recently used
+  verdicts.set("c.test", true)
+
+  assert.equal(verdicts.size, 2)
+  assert.equal(verdicts.get("b.test"), undefined)
+  assert.equal(verdicts.get("a.test"), true)
+
+  const expired = new CatchAllVerdicts({ ttl: -1 })
+  expired.set("a.test", true)
+  assert.equal(expired.get("a.test"), undefined)
+  assert.equal(expired.size, 0)
+})
@@ -0,0 +1,87 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+import { BulkEmailProcessor } from "../scripts/bulk-email-processor.js"
+import { exportResults } from "../scripts/exporter.js"
+import { CsvParser, parseCsv, formatCsvRow, findColumn } from "../scripts/csv.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+let dir
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "csv-"))
+})
+
+after(() => fs.rm(dir, { recursive: true, force: true }))
+
+test("quoted fields keep their delimiters, quotes and line breaks", () => {
+  const text = 'Name,Email,Note\r\n"Doe, Jane",jane@example.test,"says ""hi""\ntwice"\r\n\r\nBob,bob@example.test,\n'
+  assert.deepEqual(parseCsv(text), [
+    ["Name", "Email", "Note"],
+    ["Doe, Jane", "jane@example.test", 'says "hi"\ntwice'],
+    ["Bob", "bob@example.test", ""],
+  ])
+})
+
+test("records split across chunks come out whole", () => {
+  const parser = new CsvParser({ delimiter: ";" })
+  const records = [...parser.push('a;"b;'), ...parser.push('c"\nd;e'), ...parser.end()]
+  assert.deepEqual(records, [
+    ["a", "b;c"],
+    ["d", "e"],
+  ])
+})
+
+test("rows written out parse back to the same fields", () => {
+  const fields = ["Doe, Jane", 'say "hi"', "two\nlines", " padded ", "", null]
+  assert.equal(formatCsvRow(fields), '"Doe, Jane","say ""hi""","two\nlines"," padded ",,')
+  assert.deepEqual(parseCsv(formatCsvRow(fields)), [["Doe, Jane", 'say "hi"', "two\nlines", " padded ", "", ""]])
+})
+
+test("the email column is found by name, position or a usual header", () => {
+  const headers = ["Name", "Work Email", "E-mail"]
+  assert.equal(findColumn(headers, "work email"), 1)
+  assert.equal(findColumn(headers, "0"), 0)
+  assert.equal(findColumn(headers), 2)
+  assert.throws(() => findColumn(headers, "Mail"), /Column "Mail" not found/)
+})
+
+test("a verified CSV keeps every input column next to the verification columns", async () => {
+  const dns = await startStubDns({ "crm.test": { MX: [[10, "127.0.0.1"]] } })
+  const smtp = await startStubSmtp({ mailboxes: ["jane"] })
+  try {
+    const inputFile = path.join(dir, "contacts.csv")
+    const rows = [
+      ["Name", "Work Email", "Company"],
+      ["Doe; Jane", "jane@crm.test", "ACME\nEurope"],
+      ["No Body", "nobody@crm.test", "Initech"],
+      ["No Address", "", "Hooli"],
+    ]
+    await fs.writeFile(inputFile, rows.map((row) => formatCsvRow(row, { delimiter: ";" })).join("\r\n"))
+
+    const processor = new BulkEmailProcessor({
+      nameservers: [dns.nameserver],
+      smtpPort: smtp.port,
+      detectCatchAll: false,
+      timeout: 2000,
+      delay: 1,
+    })
+    const records = await processor.loadRecordsFromFile(inputFile, { emailColumn: "Work Email", delimiter: ";" })
+    const results = await processor.processBulkEmails(records)
+    const outputFile = path.join(dir, "contacts.verified.csv")
+    await exportResults(results, outputFile, { format: "csv", fields: ["email", "status"] })
+
+    assert.deepEqual(parseCsv(await fs.readFile(outputFile, "utf8")), [
+      ["Name", "Work Email", "Company", "Status"],
+      ["Doe; Jane", "jane@crm.test", "ACME\nEurope", "valid"],
+      ["No Body", "nobody@crm.test", "Initech", "invalid"],
+      ["No Address", "", "Hooli", "invalid_format"],
+    ])
+  } finally {
+    await smtp.close()
+    await dns.close()
+  }
+})
@@ -0,0 +1,43 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { DeliverabilityScorer } from "../scripts/deliverability-scorer.js"
+
+test("scores fall into tiers at the default thresholds", () => {
+  const scorer = new DeliverabilityScorer()
+  const cases = [
+    [{ status: "valid" }, 100, "deliverable"],
+    // Exactly on a threshold counts towards that tier
+    [{ status: "valid", isRole: true, isFreeProvider: true }, 80, "deliverable"],
+    [{ status: "valid", isRole: true, implicitMx: true }, 75, "risky"],
+    [{ status: "catch_all" }, 60, "risky"],
+    [{ status: "valid", isDisposable: true, suggestion: "gmail.com" }, 20, "undeliverable"],
+    [{ status: "catch_all", isDisposable: true }, 10, "undeliverable"],
+    // Penalties stop at zero
+    [{ status: "temporary_failure", isDisposable: true, suggestion: "gmail.com" }, 0, "undeliverable"],
+    // A settled rejection ignores every other signal
+    [{ status: "invalid", isFreeProvider: true }, 0, "undeliverable"],
+    // Nothing known about the mailbox: unknown, whatever the score says
+    [{ status: "connection_failed" }, 50, "unknown"],
+    [{ status: "blocked", isDisposable: true }, 0, "unknown"],
+  ]
+  for (const [result, score, tier] of cases) {
+    assert.deepEqual(
+      (({ score, tier }) => ({ score, tier }))(scorer.score(result)),
+      { score, tier },
+      JSON.stringify(result),
+    )
+  }
+})
+
+test("weights and thresholds can be moved", () => {
+  const scorer = new DeliverabilityScorer({
+    scoreWeights: { catchAll: 85 },
+    scoreThresholds: { deliverable: 90, undeliverable: 40 },
+  })
+  assert.equal(scorer.score({ status: "catch_all" }).tier, "risky")
+  assert.equal(scorer.score({ status: "valid", isRole: true }).tier, "risky")
+  assert.equal(
+    scorer.score({ status: "temporary_failure", isFreeProvider: true, implicitMx: true }).tier,
+    "undeliverable",
+  )
+})
@@ -0,0 +1,42 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { DisposableDetector } from "../scripts/disposable-detector.js"
+
+test("disposable domains match by name and by parent domain", () => {
+  const detector = new DisposableDetector({ extraDisposableDomains: ["Throwaway.example"] })
+  const cases = [
+    ["mailinator.com", true],
+    ["YOPMAIL.COM", true],
+    ["inbox.mailinator.com", true],
+    ["mailinator.com.", true],
+    ["throwaway.example", true],
+    ["gmail.com", false],
+    // Only whole labels count
+    ["myyopmail.com", false],
+    ["", false],
+  ]
+  for (const [domain, disposable] of cases) {
+    assert.equal(detector.isDisposableDomain(domain), disposable, domain)
+  }
+})
+
+test("domains are disposable when any MX host belongs to a disposable service", () => {
+  const detector = new DisposableDetector()
+  const mx = (...hosts) => hosts.map((exchange, i) => ({ priority: 10 * (i + 1), exchange }))
+  const cases = [
+    [mx("mx1.mailinator.com"), true],
+    [mx("mx.example.test", "mx.guerrillamail.com."), true],
+    [mx("gmail-smtp-in.l.google.com"), false],
+    [mx("mx.myyopmail.com"), false],
+    [[{ priority: 0, exchange: "" }], false],
+    [[], false],
+  ]
+  for (const [records, disposable] of cases) {
+    assert.equal(detector.isDisposableMx(records), disposable, JSON.stringify(records))
+  }
+
+  // A fresh domain name on disposable infrastructure is still caught
+  assert.equal(detector.isDisposable("fresh-name.test", mx("mx2.mailinator.com")), true)
+  assert.equal(detector.isDisposable("mailinator.com"), true)
+  assert.equal(detector.isDisposable("example.test", mx("mx.example.test")), false)
+})
@@ -0,0 +1,53 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { DnsResolver, DnsCache, sharedDnsCache } from "../scripts/dns-resolver.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+test("resolvers with other nameservers do not share cached answers", async () => {
+  const internal = await startStubDns({ "split.test": { A: ["10.0.0.1"] } })
+  const external = await startStubDns({ "split.test": { A: ["192.0.2.1"] } })
+  try {
+    const dnsCache = new DnsCache()
+    const first = new DnsResolver({ nameservers: [internal.nameserver], dnsCache })
+    const second = new DnsResolver({ nameservers: [external.nameserver], dnsCache })
+
+    assert.deepEqual(await first.resolve4("split.test"), ["10.0.0.1"])
+    assert.deepEqual(await second.resolve4("split.test"), ["192.0.2.1"])
+
+    // The same nameservers do share the cache
+    const again = new DnsResolver({ nameservers: [internal.nameserver], dnsCache })
+    assert.deepEqual(await again.resolve4("split.test"), ["10.0.0.1"])
+    assert.equal(internal.queries.length, 1)
+  } finally {
+    await internal.close()
+    await external.close()
+  }
+})
+
+test("the cache keeps only its most recently used answers", () => {
+  const dnsCache = new DnsCache({ maxEntries: 2 })
+  dnsCache.set("A:one.test", { value: ["192.0.2.1"] }, 60)
+  dnsCache.set("A:two.test", { value: ["192.0.2.2"] }, 60)
+  dnsCache.get("A:one.test")
+  dnsCache.set("A:three.test", { value: ["192.0.2.3"] }, 60)
+
+  assert.equal(dnsCache.size, 2)
+  assert.equal(dnsCache.get("A:two.test"), null)
+  assert.deepEqual(dnsCache.get("A:one.test").value, ["192.0.2.1"])
+})
+
+test("dnsCacheEntries gives a resolver a bounded cache of its own", async () => {
+  const zones = Object.fromEntries(["a", "b", "c"].map((name) => [`${name}.test`, { A: ["192.0.2.1"] }]))
+  const dns = await startStubDns(zones)
+  try {
+    const resolver = new DnsResolver({ nameservers: [dns.nameserver], dnsCacheEntries: 2 })
+    for (const domain of Object.keys(zones)) {
+      await resolver.resolve4(domain)
+    }
+    assert.notEqual(resolver.cache, sharedDnsCache)
+    assert.equal(resolver.cache.size, 2)
+    assert.equal(sharedDnsCache.size, 0)
+  } finally {
+    await dns.close()
+  }
+})
@@ -0,0 +1,66 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { formatResults } from "../scripts/exporter.js"
+import { parseCsv } from "../scripts/csv.js"
+
+const results = [
+  {
+    email: "jane@example.test",
+    isValid: true,
+    status: "valid",
+    score: 95,
+    message: 'Said "OK", then\nclosed',
+    smtpResponse: "250\t2.1.5 OK",
+  },
+  { email: "<b>@example.test", isValid: false, status: "invalid", message: "User unknown" },
+]
+
+test("CSV values with delimiters, quotes and line breaks survive a round trip", () => {
+  const csv = formatResults(results, { format: "csv", fields: ["email", "status", "message"] })
+  assert.deepEqual(parseCsv(csv), [
+    ["Email", "Status", "Message"],
+    ["jane@example.test", "valid", 'Said "OK", then\nclosed'],
+    ["<b>@example.test", "invalid", "User unknown"],
+  ])
+
+  const semicolons = formatResults(results, { format: "csv", fields: ["email", "message"], delimiter: ";" })
+  assert.equal(semicolons.split("\n")[0], "Email;Message")
+  assert.equal(parseCsv(semicolons, { delimiter: ";" })[1][1], 'Said "OK", then\nclosed')
+})
+
+test("TSV turns tabs and line breaks inside values into spaces", () => {
+  const tsv = formatResults(results, { format: "tsv", fields: ["email", "message", "smtpResponse"] }).split("\n")
+  assert.deepEqual(tsv, [
+    "Email\tMessage\tSMTPResponse",
+    'jane@example.test\tSaid "OK", then closed\t250 2.1.5 OK',
+    "<b>@example.test\tUser unknown\t",
+  ])
+})
+
+test("NDJSON writes the picked fields, or whole results without a field list", () => {
+  const picked = formatResults(results, { format: "ndjson", fields: ["email", "score"] })
+    .trim()
+    .split("\n")
+  assert.deepEqual(picked.map(JSON.parse), [{ email: "jane@example.test", score: 95 }, { email: "<b>@example.test" }])
+
+  const whole = formatResults(results, { format: "ndjson" }).trim().split("\n")
+  assert.deepEqual(whole.map(JSON.parse), results)
+})
+
+test("HTML escapes every value", () => {
+  const html = formatResults(results, { format: "html", fields: ["email", "status"] })
+  assert.ok(html.includes("<td>&lt;b&gt;@example.test</td>"))
+  assert.ok(!html.includes("<b>@example.test"))
+})
+
+test("input columns come first and verification columns that clash are renamed", () => {
+  const withInput = results.map((result) => ({ ...result, input: { Email: result.email, Status: "customer" } }))
+  const csv = parseCsv(formatResults(withInput, { format: "csv", fields: ["email", "status"] }))
+  assert.deepEqual(csv[0], ["Email", "Status", "Verification Status"])
+  assert.deepEqual(csv[1], ["jane@example.test", "customer", "valid"])
+})
+
+test("unknown fields and formats are refused", () => {
+  assert.throws(() => formatResults(results, { fields: ["email", "mood"] }), /Unknown field\(s\): mood/)
+  assert.throws(() => formatResults(results, { format: "xml" }), /Unsupported export format: xml/)
+})
@@ -0,0 +1,74 @@
+import dgram from "dgram"
+
+const TYPES = { 1: "A", 15: "MX", 28: "AAAA" }
+
+/**
+ * Encode a domain name as DNS labels; "" is the root (the exchange of a null MX)
+ */
+function encodeName(name) {
+  if (!name) {
+    return Buffer.from([0])
+  }
+  const labels = name.split(".").map((label) => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)]))
+  return Buffer.concat([...labels, Buffer.from([0])])
+}
+
+/**
+ * Answer one A, AAAA or MX record
+ */
+function encodeAnswer(type, typeCode, record, ttl) {
+  const data =
+    type === "MX"
+      ? Buffer.concat([Buffer.from([record[0] >> 8, record[0] & 255]), encodeName(record[1])])
+      : Buffer.from(record.split(".").map(Number))
+  const header = Buffer.alloc(10)
+  header.writeUInt16BE(typeCode, 0)
+  header.writeUInt16BE(1, 2) // class IN
+  header.writeUInt32BE(ttl, 4)
+  header.writeUInt16BE(data.length, 8)
+  // 0xc00c points back at the question name
+  return Buffer.concat([Buffer.from([0xc0, 12]), header, data])
+}
+
+/**
+ * UDP DNS server for tests, for use with the nameservers option ("127.0.0.1:<port>")
+ * @param {Object} zones - Domain -> { MX: [[priority, host]], A: ["127.0.0.1"] }; other domains get NXDOMAIN,
+ *   a domain without records of the asked type gets an empty answer
+ * @returns {Promise<Object>} { nameserver, queries, close() }, queries lists "MX example.test" style entries
+ */
+async function startStubDns(zones) {
+  const queries = []
+  const socket = dgram.createSocket("udp4")
+
+  socket.on("message", (message, remote) => {
+    let offset = 12
+    const labels = []
+    while (message[offset]) {
+      labels.push(message.subarray(offset + 1, offset + 1 + message[offset]).toString())
+      offset += message[offset] + 1
+    }
+    const typeCode = message.readUInt16BE(offset + 1)
+    const questionEnd = offset + 5
+    const type = TYPES[typeCode]
+    const name = labels.join(".").toLowerCase()
+    queries.push(`${type} ${name}`)
+
+    const zone = zones[name]
+    const answers = (zone?.[type] || []).map((record) => encodeAnswer(type, typeCode, record, 300))
+    const header = Buffer.alloc(12)
+    message.copy(header, 0, 0, 2)
+    header.writeUInt16BE(0x8180 | (zone ? 0 : 3), 2) // response, recursion available, NOERROR or NXDOMAIN
+    header.writeUInt16BE(1, 4)
+    header.writeUInt16BE(answers.length, 6)
+    socket.send(Buffer.concat([header, message.subarray(12, questionEnd), ...answers]), remote.port, remote.address)
+  })
+
+  await new Promise((resolve) => socket.bind(0, "127.0.0.1", resolve))
+  return {
+    nameserver: `127.0.0.1:${socket.address().port}`,
+    queries,
+    close: () => new Promise((resolve) => socket.close(resolve)),
+  }
+}
+
+export { startStubDns }
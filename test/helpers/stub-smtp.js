@@ -0,0 +1,102 @@
+import net from "net"
+
+/**
+ * Minimal SMTP server for tests: answers EHLO/HELO, MAIL FROM, RCPT TO, RSET and QUIT
+ * and records what each connection sent
+ * @param {Object} [options]
+ * @param {string[]} [options.mailboxes] - Local parts that exist (RCPT TO gets 250)
+ * @param {boolean} [options.catchAll] - Accept every recipient
+ * @param {string} [options.greeting] - First reply (default: 220)
+ * @param {string|Function} [options.mailFrom] - Reply to MAIL FROM
+ * @param {Object} [options.replies] - Local part -> RCPT TO reply, overriding the mailbox check
+ * @param {string} [options.reject] - RCPT TO reply for unknown mailboxes
+ * @param {number} [options.maxRecipients] - RCPT TO per transaction before 452
+ * @param {boolean} [options.smtputf8] - Advertise SMTPUTF8 (default true)
+ * @param {string} [options.starttls] - Advertise STARTTLS and answer it with this; the stub cannot
+ *   speak TLS, so after a 220 it drops the connection like a failed handshake
+ * @returns {Promise<Object>} { port, connections, close() }, connections[i] = commands of connection i
+ */
+async function startStubSmtp(options = {}) {
+  const {
+    mailboxes = [],
+    catchAll = false,
+    greeting = "220 stub.test ESMTP",
+    mailFrom = "250 2.1.0 OK",
+    replies = {},
+    reject = "550 5.1.1 User unknown",
+    maxRecipients = Infinity,
+    smtputf8 = true,
+    starttls = null,
+  } = options
+  const connections = []
+
+  const server = net.createServer((socket) => {
+    const commands = []
+    connections.push(commands)
+    let buffer = ""
+    let recipients = 0
+    const reply = (line) => socket.write(`${line}\r\n`)
+
+    socket.on("error", () => {})
+    socket.on("data", (data) => {
+      buffer += data
+      const lines = buffer.split("\r\n")
+      buffer = lines.pop()
+
+      for (const line of lines) {
+        commands.push(line)
+        const verb = line.slice(0, 4).toUpperCase()
+        if (verb === "EHLO") {
+          const extensions = ["PIPELINING", ...(starttls ? ["STARTTLS"] : []), ...(smtputf8 ? ["SMTPUTF8"] : [])]
+          reply(
+            ["stub.test", ...extensions]
+              .map((line, i) => `250${i < extensions.length ? "-" : " "}${line}`)
+              .join("\r\n"),
+          )
+        } else if (verb === "HELO") {
+          reply("250 stub.test")
+        } else if (verb === "MAIL") {
+          recipients = 0
+          reply(typeof mailFrom === "function" ? mailFrom(connections.length) : mailFrom)
+        } else if (verb === "RCPT") {
+          recipients++
+          const local = /<([^@>]*)@/.exec(line)?.[1]
+          if (replies[local]) {
+            reply(typeof replies[local] === "function" ? replies[local]() : replies[local])
+          } else if (recipients > maxRecipients) {
+            reply("452 4.5.3 Too many recipients")
+          } else {
+            reply(catchAll || mailboxes.includes(local) ? "250 2.1.5 OK" : reject)
+          }
+        } else if (line.toUpperCase() === "STARTTLS" && starttls) {
+          reply(starttls)
+          if (starttls.startsWith("220")) {
+            socket.end()
+          }
+        } else if (verb === "RSET") {
+          recipients = 0
+          reply("250 2.0.0 OK")
+        } else if (verb === "QUIT") {
+          reply("221 2.0.0 Bye")
+          socket.end()
+        } else {
+          reply("502 5.5.2 Command not implemented")
+        }
+      }
+    })
+
+    reply(greeting)
+    if (!greeting.startsWith("220")) {
+      socket.end()
+    }
+  })
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+  return {
+    port: server.address().port,
+    connections,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  }
+}
+
+export { startStubSmtp }
@@ -0,0 +1,89 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+import { BulkEmailProcessor } from "../scripts/bulk-email-processor.js"
+import { JobCheckpoint } from "../scripts/job-checkpoint.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+let dns, smtp, dir
+
+before(async () => {
+  dns = await startStubDns({ "resume.test": { MX: [[10, "127.0.0.1"]] } })
+  smtp = await startStubSmtp({ mailboxes: ["a", "c", "e"] })
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "checkpoint-"))
+})
+
+after(async () => {
+  await smtp.close()
+  await dns.close()
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+function processorFor() {
+  return new BulkEmailProcessor({
+    nameservers: [dns.nameserver],
+    smtpPort: smtp.port,
+    detectCatchAll: false,
+    timeout: 2000,
+    batchSize: 2,
+    delay: 1,
+  })
+}
+
+const recipientsAsked = () => smtp.connections.flat().filter((command) => command.startsWith("RCPT")).length
+
+test("an interrupted job resumes with only the addresses it had not verified", async () => {
+  const emails = ["a", "b", "c", "d", "e"].map((local) => `${local}@resume.test`)
+  const job = path.join(dir, "job.ndjson")
+
+  const first = processorFor()
+  first.on("batchStart", ({ batch }) => batch === 2 && first.stop())
+  const checkpoint = new JobCheckpoint({ job })
+  await checkpoint.start({ total: emails.length })
+  const partial = await first.processBulkEmails(emails, { checkpoint })
+  assert.equal(first.interrupted, true)
+  assert.equal(partial.filter(Boolean).length, 4)
+  assert.equal(recipientsAsked(), 4)
+
+  // A run killed mid-write leaves half a line behind
+  await fs.appendFile(job, '{"type":"result","index":4,"res')
+
+  const resumed = new JobCheckpoint({ job })
+  assert.equal((await resumed.load()).total, 5)
+  assert.equal(resumed.completed.size, 4)
+  const results = await processorFor().processBulkEmails(emails, { checkpoint: resumed })
+
+  assert.deepEqual(
+    results.map((result) => result.status),
+    ["valid", "invalid", "valid", "invalid", "valid"],
+  )
+  assert.equal(recipientsAsked(), 5)
+
+  // The torn line was ended, so the last result is on a line of its own
+  const again = new JobCheckpoint({ job })
+  await again.load()
+  assert.equal(again.completed.get(4).email, "e@resume.test")
+})
+
+test("a finished job is marked done only once", async () => {
+  const emails = ["a@resume.test", "b@resume.test"]
+  const job = path.join(dir, "finished.ndjson")
+
+  const checkpoint = new JobCheckpoint({ job })
+  await checkpoint.start({ total: emails.length })
+  await processorFor().processBulkEmails(emails, { checkpoint })
+
+  const resumed = new JobCheckpoint({ job })
+  const meta = await resumed.load()
+  assert.equal(meta.completedAt, checkpoint.meta.completedAt)
+  await processorFor().processBulkEmails(emails, { checkpoint: resumed })
+
+  const lines = (await fs.readFile(job, "utf-8")).trim().split("\n").map(JSON.parse)
+  assert.deepEqual(
+    lines.map((line) => line.type),
+    ["job", "result", "result", "done"],
+  )
+})
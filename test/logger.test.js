@@ -0,0 +1,78 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { PassThrough } from "stream"
+import { Logger, defaultLogger, loggerFor } from "../scripts/logger.js"
+
+// A logger writing into an array of lines
+function capture(options = {}) {
+  const stream = new PassThrough()
+  const lines = []
+  stream.on("data", (chunk) => lines.push(...chunk.toString().split("\n").filter(Boolean)))
+  return { logger: new Logger({ ...options, stream }), lines }
+}
+
+test("entries below the level are dropped; debug is off by default", () => {
+  const { logger, lines } = capture()
+  logger.trace("trace")
+  logger.debug("debug")
+  logger.info("info")
+  logger.warn("warn")
+  logger.error("error")
+  assert.deepEqual(
+    lines.map((line) => line.split(" ")[1]),
+    ["INFO", "WARN", "ERROR"],
+  )
+  assert.equal(defaultLogger.isLevelEnabled("debug"), false)
+
+  const quiet = capture({ level: "silent" })
+  quiet.logger.error("not shown")
+  assert.deepEqual(quiet.lines, [])
+})
+
+test("JSON entries carry the context of the logger and its children", () => {
+  const { logger, lines } = capture({ level: "debug", format: "json" })
+  const child = logger.child({ component: "EmailVerifier" }).child({ jobId: "job-1" })
+  child.debug("Connected", { mxHost: "mx.example.test", error: new Error("boom") })
+
+  const entry = JSON.parse(lines[0])
+  assert.equal(typeof entry.time, "string")
+  assert.deepEqual(
+    { ...entry, time: undefined },
+    {
+      time: undefined,
+      level: "debug",
+      msg: "Connected",
+      component: "EmailVerifier",
+      jobId: "job-1",
+      mxHost: "mx.example.test",
+      error: "boom",
+    },
+  )
+})
+
+test("pretty entries name the component and quote values with spaces", () => {
+  const { logger, lines } = capture()
+  logger.child({ component: "cli" }).warn("Slow server", { mxHost: "mx.example.test", reply: "421 try later" })
+  assert.match(lines[0], /^\S+ WARN {2}\[cli\] Slow server mxHost=mx\.example\.test reply="421 try later"$/)
+})
+
+test("reconfiguring a logger reaches its children", () => {
+  const { logger, lines } = capture()
+  const child = logger.child({ component: "WorkerPool" })
+  child.debug("hidden")
+  logger.configure({ level: "debug", format: "json" })
+  child.debug("shown")
+  assert.equal(lines.length, 1)
+  assert.equal(JSON.parse(lines[0]).component, "WorkerPool")
+
+  assert.throws(() => logger.configure({ level: "loud" }), /Unknown log level: loud/)
+})
+
+test("components log through the shared default logger unless given one", () => {
+  const { logger, lines } = capture()
+  loggerFor("ApiServer", { logger }).info("Listening")
+  assert.match(lines[0], /\[ApiServer\] Listening$/)
+  assert.equal(loggerFor("ApiServer").settings, defaultLogger.settings)
+  // The older debug option still shows the SMTP dialogue
+  assert.equal(loggerFor("EmailVerifier", { debug: true }).level, "trace")
+})
@@ -0,0 +1,68 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { EmailVerifier } from "../scripts/email-verifier.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+let dns, smtp, verifier
+
+before(async () => {
+  dns = await startStubDns({
+    "null.test": { MX: [[0, ""]] },
+    "a-only.test": { A: ["127.0.0.1"] },
+    "no-records.test": {},
+    // Nothing listens on 127.0.0.2, so the backup MX has to take over
+    "backup.test": {
+      MX: [
+        [20, "127.0.0.1"],
+        [10, "127.0.0.2"],
+      ],
+    },
+  })
+  smtp = await startStubSmtp({ mailboxes: ["alice"] })
+  verifier = new EmailVerifier({
+    nameservers: [dns.nameserver],
+    smtpPort: smtp.port,
+    detectCatchAll: false,
+    timeout: 2000,
+  })
+})
+
+after(async () => {
+  await smtp.close()
+  await dns.close()
+})
+
+test("a null MX domain accepts no mail and is not connected to", async () => {
+  const result = await verifier.verifyEmail("alice@null.test")
+  assert.equal(result.status, "null_mx")
+  assert.equal(result.isValid, false)
+  assert.equal(smtp.connections.length, 0)
+})
+
+test("a domain without MX records falls back to its address record", async () => {
+  assert.deepEqual(await verifier.resolveMailServers("a-only.test"), {
+    mxRecords: [{ exchange: "a-only.test", priority: 0, implicit: true }],
+  })
+  assert.equal((await verifier.resolveMailServers("no-records.test")).status, "no_mx_record")
+  assert.equal((await verifier.resolveMailServers("missing.test")).status, "domain_not_found")
+})
+
+test("an address literal is its own implicit MX", async () => {
+  const result = await verifier.verifyEmail("alice@[127.0.0.1]")
+  assert.equal(result.status, "valid")
+  assert.equal(result.implicitMx, true)
+})
+
+test("MX hosts are tried in priority order until one answers", async () => {
+  const { mxRecords } = await verifier.resolveMailServers("backup.test")
+  assert.deepEqual(
+    mxRecords.map((record) => record.exchange),
+    ["127.0.0.2", "127.0.0.1"],
+  )
+
+  const connections = smtp.connections.length
+  const result = await verifier.verifyEmail("alice@backup.test")
+  assert.equal(result.status, "valid")
+  assert.equal(smtp.connections.length, connections + 1)
+})
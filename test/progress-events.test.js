@@ -0,0 +1,109 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { BulkEmailProcessor } from "../scripts/bulk-email-processor.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+let dns, smtp
+
+before(async () => {
+  dns = await startStubDns({ "events.test": { MX: [[10, "127.0.0.1"]] } })
+  smtp = await startStubSmtp({ mailboxes: ["a", "c", "e"] })
+})
+
+after(async () => {
+  await smtp.close()
+  await dns.close()
+})
+
+function processorFor() {
+  return new BulkEmailProcessor({
+    nameservers: [dns.nameserver],
+    smtpPort: smtp.port,
+    detectCatchAll: false,
+    timeout: 2000,
+    batchSize: 2,
+    delay: 1,
+  })
+}
+
+const emails = ["a", "b", "c", "d", "e"].map((local) => `${local}@events.test`)
+const recipientsAsked = () => smtp.connections.flat().filter((command) => command.startsWith("RCPT")).length
+
+test("a bulk run reports batches, results, progress and completion in order", async () => {
+  const processor = processorFor()
+  const events = []
+  for (const name of ["batchStart", "result", "progress", "done"]) {
+    processor.on(name, (payload) => events.push([name, payload]))
+  }
+
+  await processor.processBulkEmails(emails)
+
+  assert.deepEqual(
+    events.map(([name, payload]) => (name === "result" ? `result ${payload.index}` : name)),
+    [
+      "progress",
+      "batchStart",
+      "result 0",
+      "result 1",
+      "progress",
+      "batchStart",
+      "result 2",
+      "result 3",
+      "progress",
+      "batchStart",
+      "result 4",
+      "progress",
+      "done",
+    ],
+  )
+
+  const batches = events.filter(([name]) => name === "batchStart").map(([, payload]) => payload)
+  assert.deepEqual(batches[1], { batch: 2, totalBatches: 3, size: 2, processed: 2, total: 5 })
+
+  const [, result] = events.find(([name, payload]) => name === "result" && payload.index === 1)
+  assert.equal(result.result.email, "b@events.test")
+  assert.equal(result.result.status, "invalid")
+
+  const progress = events.filter(([name]) => name === "progress").map(([, payload]) => payload)
+  assert.deepEqual(
+    progress.map(({ processed, percent }) => [processed, percent]),
+    [
+      [0, 0],
+      [2, 40],
+      [4, 80],
+      [5, 100],
+    ],
+  )
+  assert.deepEqual(progress.at(-1).byStatus, { valid: 3, invalid: 2 })
+
+  const [, done] = events.at(-1)
+  assert.equal(done.processed, 5)
+  assert.equal(done.interrupted, false)
+  assert.equal(done.results.length, 5)
+})
+
+test("iterate() yields results in input order", async () => {
+  const seen = []
+  for await (const { index, result } of processorFor().iterate(emails)) {
+    seen.push([index, result.status])
+  }
+  assert.deepEqual(seen, [
+    [0, "valid"],
+    [1, "invalid"],
+    [2, "valid"],
+    [3, "invalid"],
+    [4, "valid"],
+  ])
+})
+
+test("breaking out of iterate() stops verifying after the current batch", async () => {
+  const processor = processorFor()
+  const asked = recipientsAsked()
+  for await (const { index } of processor.iterate(emails)) {
+    assert.equal(index, 0)
+    break
+  }
+  assert.equal(processor.interrupted, true)
+  assert.equal(recipientsAsked() - asked, 2)
+})
@@ -0,0 +1,101 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { RateScheduler, TokenBucket } from "../scripts/rate-scheduler.js"
+import { AdvancedEmailVerifier } from "../scripts/advanced-email-verifier.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+test("a bucket refills at its rate and serves waiters in order", async () => {
+  const bucket = new TokenBucket({ requests: 2, window: 200 })
+  assert.equal(await bucket.take(), 0)
+  assert.equal(await bucket.take(), 0)
+
+  const order = []
+  const waits = await Promise.all([1, 2].map((n) => bucket.take().then((waited) => order.push(n) && waited)))
+  assert.deepEqual(order, [1, 2])
+  // One token every 100 ms
+  assert.ok(waits[0] >= 90 && waits[0] < 180, `waited ${waits[0]} ms`)
+  assert.ok(waits[1] >= 190, `waited ${waits[1]} ms`)
+  assert.ok(bucket.tryTake() > 0)
+})
+
+test("MX hosts of one provider share a key and the provider's limit", () => {
+  const scheduler = new RateScheduler({ maxRequestsPerDomain: 7, providerLimits: { google: { requests: 3 } } })
+  assert.equal(scheduler.getKey("example-com.mail.protection.outlook.com."), "microsoft")
+  assert.equal(scheduler.getKey("ALT1.ASPMX.L.GOOGLE.COM"), "google")
+  assert.equal(scheduler.getKey("mx.example.test"), "mx.example.test")
+  // "notgoogle.com" is not a subdomain of google.com
+  assert.equal(scheduler.getKey("mx.notgoogle.com"), "mx.notgoogle.com")
+
+  assert.equal(scheduler.getBucket("microsoft").capacity, 5)
+  assert.equal(scheduler.getBucket("google").capacity, 3)
+  assert.equal(scheduler.getBucket("mx.example.test").capacity, 7)
+})
+
+test("a session larger than the budget waits for one full bucket, not several windows", async () => {
+  const scheduler = new RateScheduler({ maxRequestsPerDomain: 5, rateLimitWindow: 500 })
+  const startedAt = Date.now()
+  const key = await scheduler.acquire("mx.example.test", 25)
+  assert.ok(Date.now() - startedAt < 100)
+
+  // The next session waits for the bucket to refill
+  await scheduler.acquire("mx.example.test", 1)
+  assert.ok(Date.now() - startedAt >= 90)
+
+  scheduler.complete(key, 25)
+  scheduler.complete(key, 1)
+  const { sessions, recipients, waitMs, limit } = scheduler.getThroughput()["mx.example.test"]
+  assert.deepEqual({ sessions, recipients, limit }, { sessions: 2, recipients: 26, limit: "5/500ms" })
+  assert.ok(waitMs >= 90)
+
+  scheduler.reset()
+  assert.deepEqual(scheduler.getThroughput(), {})
+})
+
+let dns
+
+before(async () => {
+  dns = await startStubDns({ "budget.test": { MX: [[10, "127.0.0.1"]] } })
+})
+
+after(() => dns.close())
+
+/**
+ * Scheduler that records what each session asked for
+ */
+function recordingScheduler() {
+  const scheduler = new RateScheduler()
+  scheduler.counts = []
+  const acquire = scheduler.acquire.bind(scheduler)
+  scheduler.acquire = (mxHost, count) => {
+    scheduler.counts.push(count)
+    return acquire(mxHost, count)
+  }
+  return scheduler
+}
+
+test("catch-all probes are counted and a retry without TLS is not counted again", async () => {
+  const smtp = await startStubSmtp({ mailboxes: ["a", "b"], starttls: "220 2.0.0 Ready to start TLS" })
+  try {
+    const scheduler = recordingScheduler()
+    const verifier = new AdvancedEmailVerifier({
+      nameservers: [dns.nameserver],
+      smtpPort: smtp.port,
+      timeout: 2000,
+      scheduler,
+    })
+    const results = await verifier.verifyMultiple(["a@budget.test", "b@budget.test"], { delay: 1 })
+
+    assert.deepEqual(
+      results.map((result) => result.status),
+      ["valid", "valid"],
+    )
+    // Two connections (TLS failed, then plain text), one charge: two recipients and a probe
+    assert.equal(smtp.connections.length, 2)
+    assert.deepEqual(scheduler.counts, [3])
+    assert.equal(results[0].provider, "127.0.0.1")
+    assert.equal(scheduler.getThroughput()["127.0.0.1"].recipients, 2)
+  } finally {
+    await smtp.close()
+  }
+})
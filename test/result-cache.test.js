@@ -0,0 +1,99 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+import { AdvancedEmailVerifier } from "../scripts/advanced-email-verifier.js"
+import { FileCacheStore } from "../scripts/result-cache.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+let dir
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "result-cache-"))
+})
+
+after(() => fs.rm(dir, { recursive: true, force: true }))
+
+const HOUR = 60 * 60 * 1000
+const linesIn = async (file) => (await fs.readFile(file, "utf8")).trim().split("\n").length
+
+test("runs sharing a cache file see each other's entries", async () => {
+  const filePath = path.join(dir, "shared.ndjson")
+  const first = new FileCacheStore({ filePath })
+  const second = new FileCacheStore({ filePath })
+
+  await first.set("a@example.test", { status: "valid" }, HOUR)
+  await first.flush()
+  assert.deepEqual(await second.get("a@example.test"), { status: "valid" })
+
+  // Later writes win, and flushing appends only what changed
+  await second.set("a@example.test", { status: "invalid" }, HOUR)
+  await second.set("b@example.test", { status: "valid" }, HOUR)
+  await second.flush()
+  assert.equal(await linesIn(filePath), 3)
+
+  await first.set("c@example.test", { status: "valid" }, HOUR)
+  await first.flush()
+  assert.deepEqual(await first.get("a@example.test"), { status: "invalid" })
+  assert.deepEqual(await new FileCacheStore({ filePath }).get("b@example.test"), { status: "valid" })
+})
+
+test("the file is compacted once superseded lines outnumber live ones", async () => {
+  const filePath = path.join(dir, "compact.ndjson")
+  const store = new FileCacheStore({ filePath, compactAfter: 5 })
+
+  for (let i = 0; i < 6; i++) {
+    await store.set("same@example.test", { status: "valid", round: i }, HOUR)
+    await store.flush()
+  }
+
+  assert.equal(await linesIn(filePath), 1)
+  assert.deepEqual(await new FileCacheStore({ filePath }).get("same@example.test"), { status: "valid", round: 5 })
+})
+
+test("a held lock delays writes instead of failing the run", async () => {
+  const filePath = path.join(dir, "locked.ndjson")
+  await fs.writeFile(`${filePath}.lock`, "12345")
+  const store = new FileCacheStore({ filePath, flushEvery: 1, lockTimeout: 100 })
+
+  // set() flushes on its own (flushEvery) and keeps the entry when the lock times out
+  await store.set("a@example.test", { status: "valid" }, HOUR)
+  await assert.rejects(fs.access(filePath))
+  await assert.rejects(store.flush(), { code: "ELOCKED" })
+
+  await fs.unlink(`${filePath}.lock`)
+  await store.flush()
+  assert.deepEqual(await new FileCacheStore({ filePath }).get("a@example.test"), { status: "valid" })
+})
+
+test("refusals of the session are verified again instead of served from cache", async () => {
+  const dns = await startStubDns({ "cached.test": { MX: [[10, "127.0.0.1"]] } })
+  let connection = 0
+  const smtp = await startStubSmtp({
+    mailboxes: ["alice"],
+    // The first session is refused at MAIL FROM, later ones are not
+    mailFrom: () => (++connection === 1 ? "550 5.5.0 Sender rejected" : "250 2.1.0 OK"),
+  })
+  try {
+    const verifier = new AdvancedEmailVerifier({
+      nameservers: [dns.nameserver],
+      smtpPort: smtp.port,
+      detectCatchAll: false,
+      timeout: 2000,
+      cacheFile: path.join(dir, "verifier.ndjson"),
+    })
+
+    assert.equal((await verifier.verifyEmailAdvanced("alice@cached.test")).status, "mail_from_rejected")
+    const second = await verifier.verifyEmailAdvanced("alice@cached.test")
+    assert.equal(second.status, "valid")
+    assert.equal(second.fromCache, undefined)
+    const third = await verifier.verifyEmailAdvanced("alice@cached.test")
+    assert.equal(third.fromCache, true)
+    assert.equal(smtp.connections.length, 2)
+  } finally {
+    await smtp.close()
+    await dns.close()
+  }
+})
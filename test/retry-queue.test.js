@@ -0,0 +1,115 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+import { BulkEmailProcessor } from "../scripts/bulk-email-processor.js"
+import { RetryQueue } from "../scripts/retry-queue.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+let dns
+
+before(async () => {
+  dns = await startStubDns({
+    "busy.test": { MX: [[10, "127.0.0.1"]] },
+    "grey.test": { MX: [[10, "127.0.0.1"]] },
+    "unknown.test": { MX: [[10, "127.0.0.1"]] },
+    "blocking.test": { MX: [[10, "127.0.0.1"]] },
+  })
+})
+
+after(() => dns.close())
+
+function processorFor(smtp) {
+  return new BulkEmailProcessor({
+    nameservers: [dns.nameserver],
+    smtpPort: smtp.port,
+    detectCatchAll: false,
+    timeout: 2000,
+  })
+}
+
+test("a 421 greeting defers the session's addresses to the retry queue", async () => {
+  const smtp = await startStubSmtp({ greeting: "421 4.3.2 Service not available, closing transmission channel" })
+  const processor = processorFor(smtp)
+  try {
+    const results = await processor.processBatch(["a@busy.test", "b@busy.test"])
+
+    assert.deepEqual(
+      results.map((result) => result.status),
+      ["temporary_failure", "temporary_failure"],
+    )
+    assert.ok(results.every((result) => result.retryAt))
+    assert.equal(processor.retryQueue.size, 2)
+  } finally {
+    await processor.close()
+    await smtp.close()
+  }
+})
+
+test("a greylisted MAIL FROM is deferred as greylisting", async () => {
+  const smtp = await startStubSmtp({ mailFrom: "451 4.7.1 Greylisting in action, please come back later" })
+  const processor = processorFor(smtp)
+  try {
+    const [result] = await processor.processBatch(["a@grey.test"])
+
+    assert.equal(result.status, "temporary_failure")
+    assert.equal(result.reason, "greylisted")
+    assert.equal(processor.retryQueue.entries.get("a@grey.test").greylisted, true)
+  } finally {
+    await processor.close()
+    await smtp.close()
+  }
+})
+
+test("a 450 on RCPT TO is deferred, a 550 is final", async () => {
+  const smtp = await startStubSmtp({ replies: { later: "450 4.2.0 Recipient address rejected: Greylisted" } })
+  const processor = processorFor(smtp)
+  try {
+    const results = await processor.processBatch(["later@unknown.test", "gone@unknown.test"])
+
+    assert.deepEqual(
+      results.map((result) => result.status),
+      ["temporary_failure", "invalid"],
+    )
+    assert.deepEqual([...processor.retryQueue.entries.keys()], ["later@unknown.test"])
+  } finally {
+    await processor.close()
+    await smtp.close()
+  }
+})
+
+test("a 4xx MAIL FROM naming a blocklist is not retried", async () => {
+  const smtp = await startStubSmtp({ mailFrom: "451 4.7.1 Client host blocked using zen.spamhaus.org" })
+  const processor = processorFor(smtp)
+  try {
+    const [result] = await processor.processBatch(["a@blocking.test"])
+
+    assert.equal(result.status, "mail_from_rejected")
+    assert.equal(result.reason, "ip_blocklisted")
+    assert.equal(processor.retryQueue.size, 0)
+  } finally {
+    await processor.close()
+    await smtp.close()
+  }
+})
+
+test("a saved queue loads back with its export settings", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "retry-queue-"))
+  try {
+    const filePath = path.join(dir, "retry-queue.json")
+    const exportOptions = { format: "csv", fields: ["email", "status"], delimiter: ";" }
+    const queue = new RetryQueue({ filePath, exportFile: path.join(dir, "results.csv"), exportOptions })
+    queue.defer({ email: "later@grey.test", reason: "greylisted", smtpResponse: "450 4.2.0 Greylisted" })
+    await queue.save()
+
+    const loaded = new RetryQueue({ filePath })
+    await loaded.load()
+    assert.deepEqual(loaded.exportOptions, exportOptions)
+    assert.equal(loaded.exportFile, path.join(dir, "results.csv"))
+    assert.equal(loaded.entries.get("later@grey.test").greylisted, true)
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
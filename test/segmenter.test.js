@@ -0,0 +1,54 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+import { SegmentWriter, writeSegments } from "../scripts/segmenter.js"
+
+const results = ["a", "b"].map((local) => ({
+  email: `${local}@example.test`,
+  isValid: true,
+  status: "valid",
+  input: { Email: `${local}@example.test`, Name: local.toUpperCase(), Company: "X" },
+}))
+
+async function headerLines(dir) {
+  const headers = {}
+  for (const segment of ["send", "review", "suppress"]) {
+    const content = await fs.readFile(path.join(dir, `results.${segment}.csv`), "utf8")
+    headers[segment] = content.split("\n")[0]
+  }
+  return headers
+}
+
+test("empty segments get the same passthrough columns as the others", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "segments-"))
+  try {
+    const { manifest } = await writeSegments(results, path.join(dir, "results.json"))
+    assert.equal(manifest.segments.send.count, 2)
+    assert.equal(manifest.segments.review.count, 0)
+
+    const headers = await headerLines(dir)
+    assert.match(headers.send, /^Email,Name,Company,IsValid,Status/)
+    assert.equal(headers.review, headers.send)
+    assert.equal(headers.suppress, headers.send)
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
+
+test("SegmentWriter gives empty segments the passthrough columns too", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "segments-"))
+  try {
+    const writer = new SegmentWriter(path.join(dir, "results.ndjson"))
+    await writer.write(results)
+    await writer.close()
+
+    const headers = await headerLines(dir)
+    assert.match(headers.send, /^Email,Name,Company,IsValid,Status/)
+    assert.equal(headers.review, headers.send)
+    assert.equal(headers.suppress, headers.send)
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
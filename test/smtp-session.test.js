@@ -0,0 +1,88 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { EmailVerifier } from "../scripts/email-verifier.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+let dns
+
+before(async () => {
+  dns = await startStubDns({
+    "shared.test": { MX: [[10, "127.0.0.1"]] },
+    "full.test": { MX: [[10, "127.0.0.1"]] },
+    "split.test": { MX: [[10, "127.0.0.1"]] },
+  })
+})
+
+after(() => dns.close())
+
+function verifierFor(smtp, options = {}) {
+  return new EmailVerifier({
+    nameservers: [dns.nameserver],
+    smtpPort: smtp.port,
+    detectCatchAll: false,
+    timeout: 2000,
+    ...options,
+  })
+}
+
+const rcptCommands = (commands) => commands.filter((command) => command.startsWith("RCPT"))
+
+test("recipients on the same MX host share one SMTP session", async () => {
+  const smtp = await startStubSmtp({ mailboxes: ["alice", "bob"] })
+  try {
+    const emails = ["alice@shared.test", "nobody@shared.test", "bob@shared.test"]
+    const results = await verifierFor(smtp).verifyMultiple(emails, { delay: 1 })
+
+    assert.deepEqual(
+      results.map((result) => [result.email, result.status]),
+      [
+        ["alice@shared.test", "valid"],
+        ["nobody@shared.test", "invalid"],
+        ["bob@shared.test", "valid"],
+      ],
+    )
+    assert.equal(smtp.connections.length, 1)
+    assert.equal(rcptCommands(smtp.connections[0]).length, 3)
+    assert.equal(smtp.connections[0].filter((command) => command.startsWith("MAIL FROM")).length, 1)
+  } finally {
+    await smtp.close()
+  }
+})
+
+test("452 too many recipients starts a new transaction with RSET", async () => {
+  const smtp = await startStubSmtp({ mailboxes: ["a", "b", "c", "d", "e"], maxRecipients: 2 })
+  try {
+    const emails = ["a", "b", "c", "d", "e"].map((local) => `${local}@full.test`)
+    const results = await verifierFor(smtp).verifyMultiple(emails, { delay: 1 })
+
+    assert.deepEqual(
+      results.map((result) => result.status),
+      ["valid", "valid", "valid", "valid", "valid"],
+    )
+    assert.equal(smtp.connections.length, 1)
+    const commands = smtp.connections[0]
+    assert.equal(commands.filter((command) => command === "RSET").length, 2)
+    // Each refused recipient is asked again after the RSET
+    assert.equal(rcptCommands(commands).length, 7)
+  } finally {
+    await smtp.close()
+  }
+})
+
+test("recipientsPerSession caps the recipients of one session", async () => {
+  const smtp = await startStubSmtp({ catchAll: true })
+  try {
+    const emails = ["a", "b", "c", "d", "e"].map((local) => `${local}@split.test`)
+    const results = await verifierFor(smtp, { recipientsPerSession: 2 }).verifyMultiple(emails, { delay: 1 })
+
+    assert.equal(results.length, 5)
+    assert.ok(results.every((result) => result.status === "valid"))
+    assert.deepEqual(
+      smtp.connections.map((commands) => rcptCommands(commands).length),
+      [2, 2, 1],
+    )
+  } finally {
+    await smtp.close()
+  }
+})
@@ -0,0 +1,85 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { classifyReply, parseEnhancedStatus } from "../scripts/smtp-status.js"
+import { EmailVerifier } from "../scripts/email-verifier.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+const reply = (...lines) => ({ code: Number(lines[0].slice(0, 3)), lines, line: lines.join(" ") })
+
+test("the enhanced status code is read when its class agrees with the reply code", () => {
+  assert.deepEqual(parseEnhancedStatus(reply("550 5.1.1 User unknown")), {
+    code: "5.1.1",
+    class: 5,
+    subject: 1,
+    detail: 1,
+  })
+  assert.equal(parseEnhancedStatus(reply("550 4.1.1 User unknown")), null)
+  assert.equal(parseEnhancedStatus(reply("550 User unknown")), null)
+  assert.equal(parseEnhancedStatus(reply("550-Hello", "550 5.2.2 Mailbox full")).code, "5.2.2")
+})
+
+test("replies are classified by code first, then by wording", () => {
+  const cases = [
+    ["550 5.1.1 The email account that you tried to reach does not exist", "mailbox_not_found"],
+    ["552 5.2.2 Quota exceeded", "mailbox_full"],
+    ["550 5.2.1 Mailbox disabled", "mailbox_disabled"],
+    ["550 5.7.1 Service unavailable; client host blocked using Spamhaus", "ip_blocklisted"],
+    ["554 5.7.1 Relay access denied", "relay_denied"],
+    // An X.7.X reply is about us, whatever it says about the mailbox
+    ["550 5.7.1 Recipient address rejected: access denied by policy", "policy_block"],
+    ["451 4.7.1 Greylisting in action, please come back later", "greylisted"],
+    ["421 4.7.0 Try again later, closing connection", "throttled"],
+    ["550 5.0.0 Mailbox unavailable", "mailbox_not_found"],
+    ["450 Requested action not taken", "greylisted"],
+    ["550 Computer says no", "unclassified"],
+  ]
+  for (const [line, reason] of cases) {
+    assert.equal(classifyReply(reply(line)).reason, reason, line)
+  }
+})
+
+let dns
+
+before(async () => {
+  dns = await startStubDns({ "reasons.test": { MX: [[10, "127.0.0.1"]] } })
+})
+
+after(() => dns.close())
+
+test("RCPT TO refusals become granular statuses, and a block is never invalid", async () => {
+  const smtp = await startStubSmtp({
+    replies: {
+      gone: "550 5.1.1 User unknown",
+      full: "552 5.2.2 Mailbox full",
+      off: "550 5.2.1 Account disabled",
+      relay: "554 5.7.1 Relaying denied",
+      listed: "550 5.7.1 Client host [192.0.2.1] blocked using zen.spamhaus.org",
+      later: "450 4.2.0 Try again later",
+    },
+  })
+  try {
+    const verifier = new EmailVerifier({
+      nameservers: [dns.nameserver],
+      smtpPort: smtp.port,
+      detectCatchAll: false,
+      timeout: 2000,
+    })
+    const emails = ["gone", "full", "off", "relay", "listed", "later"].map((local) => `${local}@reasons.test`)
+    const results = await verifier.verifyMultiple(emails, { delay: 1 })
+
+    assert.deepEqual(
+      results.map(({ status, reason, enhancedCode, isValid }) => [status, reason, enhancedCode, isValid]),
+      [
+        ["invalid", "mailbox_not_found", "5.1.1", false],
+        ["mailbox_full", "mailbox_full", "5.2.2", false],
+        ["mailbox_disabled", "mailbox_disabled", "5.2.1", false],
+        ["relay_denied", "relay_denied", "5.7.1", "unknown"],
+        ["blocked", "ip_blocklisted", "5.7.1", "unknown"],
+        ["temporary_failure", "throttled", "4.2.0", false],
+      ],
+    )
+  } finally {
+    await smtp.close()
+  }
+})
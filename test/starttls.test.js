@@ -0,0 +1,78 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { EmailVerifier } from "../scripts/email-verifier.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+let dns
+
+before(async () => {
+  dns = await startStubDns({ "tls.test": { MX: [[10, "127.0.0.1"]] } })
+})
+
+after(() => dns.close())
+
+async function verifyWith(smtpOptions, tlsPolicy) {
+  const smtp = await startStubSmtp({ mailboxes: ["alice"], ...smtpOptions })
+  try {
+    const verifier = new EmailVerifier({
+      nameservers: [dns.nameserver],
+      smtpPort: smtp.port,
+      detectCatchAll: false,
+      timeout: 2000,
+      tlsPolicy,
+    })
+    return { result: await verifier.verifyEmail("alice@tls.test"), connections: smtp.connections }
+  } finally {
+    await smtp.close()
+  }
+}
+
+test("EHLO extensions are parsed into capabilities", () => {
+  const verifier = new EmailVerifier()
+  const capabilities = verifier.parseEhloCapabilities([
+    "250-mx.example.test Hello",
+    "250-SIZE 35882577",
+    "250-starttls",
+    "250 AUTH PLAIN LOGIN",
+  ])
+  assert.deepEqual(capabilities, { SIZE: "35882577", STARTTLS: true, AUTH: "PLAIN LOGIN" })
+})
+
+test("a server without STARTTLS fails the required policy and passes the opportunistic one", async () => {
+  const required = await verifyWith({}, "required")
+  assert.equal(required.result.status, "tls_unavailable")
+  assert.ok(!required.connections[0].some((command) => command.startsWith("MAIL FROM")))
+
+  const opportunistic = await verifyWith({}, "opportunistic")
+  assert.equal(opportunistic.result.status, "valid")
+})
+
+test("a refused STARTTLS goes on in plain text unless TLS is required", async () => {
+  const refused = { starttls: "454 4.7.0 TLS not available due to temporary reason" }
+
+  const opportunistic = await verifyWith(refused, "opportunistic")
+  assert.equal(opportunistic.result.status, "valid")
+  assert.equal(opportunistic.connections[0][1], "STARTTLS")
+  assert.match(opportunistic.connections[0][2], /^MAIL FROM:/)
+
+  const required = await verifyWith(refused, "required")
+  assert.equal(required.result.status, "tls_unavailable")
+})
+
+test("a failed TLS handshake is retried without STARTTLS when TLS is optional", async () => {
+  const broken = { starttls: "220 2.0.0 Ready to start TLS" }
+
+  const opportunistic = await verifyWith(broken, "opportunistic")
+  assert.equal(opportunistic.result.status, "valid")
+  assert.equal(opportunistic.connections.length, 2)
+  assert.ok(!opportunistic.connections[1].includes("STARTTLS"))
+
+  const required = await verifyWith(broken, "required")
+  assert.equal(required.result.status, "tls_failed")
+  assert.equal(required.connections.length, 1)
+
+  const disabled = await verifyWith(broken, "disabled")
+  assert.equal(disabled.result.status, "valid")
+  assert.ok(!disabled.connections[0].includes("STARTTLS"))
+})
@@ -0,0 +1,104 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+import { BulkEmailProcessor } from "../scripts/bulk-email-processor.js"
+import { ResultStreamWriter } from "../scripts/exporter.js"
+import { parseCsv } from "../scripts/csv.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+let dns, smtp, dir
+
+before(async () => {
+  dns = await startStubDns({ "stream.test": { MX: [[10, "127.0.0.1"]] } })
+  smtp = await startStubSmtp({ mailboxes: ["a", "c", "e"] })
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "stream-"))
+})
+
+after(async () => {
+  await smtp.close()
+  await dns.close()
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+function processorFor(options = {}) {
+  return new BulkEmailProcessor({
+    nameservers: [dns.nameserver],
+    smtpPort: smtp.port,
+    detectCatchAll: false,
+    timeout: 2000,
+    batchSize: 2,
+    delay: 1,
+    ...options,
+  })
+}
+
+test("a streamed list is verified batch by batch and written as it goes", async () => {
+  const inputFile = path.join(dir, "emails.txt")
+  await fs.writeFile(inputFile, ["a", "b", "c", "d", "e"].map((local) => `${local}@stream.test`).join("\n"))
+  const processor = processorFor()
+
+  // Counts what has been read from the input when each batch is written
+  let read = 0
+  async function* counted(records) {
+    for await (const record of records) {
+      read++
+      yield record
+    }
+  }
+  const readAtWrite = []
+  const writer = new ResultStreamWriter({
+    ndjsonFile: path.join(dir, "results.ndjson"),
+    exportFile: path.join(dir, "results.csv"),
+    fields: ["email", "status"],
+  })
+  const recorder = { write: async (results) => readAtWrite.push([read, results.length]) }
+
+  const summary = await processor.processEmailStream(counted(processor.streamRecordsFromFile(inputFile)), [
+    writer,
+    recorder,
+  ])
+  await writer.close()
+
+  assert.deepEqual(readAtWrite, [
+    [2, 2],
+    [4, 2],
+    [5, 1],
+  ])
+  assert.equal(summary.total, 5)
+  assert.deepEqual(summary.byStatus, { valid: 3, invalid: 2 })
+
+  const ndjson = (await fs.readFile(path.join(dir, "results.ndjson"), "utf8")).trim().split("\n").map(JSON.parse)
+  assert.deepEqual(
+    ndjson.map((result) => result.email),
+    ["a", "b", "c", "d", "e"].map((local) => `${local}@stream.test`),
+  )
+  assert.deepEqual(parseCsv(await fs.readFile(path.join(dir, "results.csv"), "utf8")), [
+    ["Email", "Status"],
+    ["a@stream.test", "valid"],
+    ["b@stream.test", "invalid"],
+    ["c@stream.test", "valid"],
+    ["d@stream.test", "invalid"],
+    ["e@stream.test", "valid"],
+  ])
+})
+
+test("stop() ends a stream after the current batch", async () => {
+  const processor = processorFor()
+  const emails = ["a", "b", "c", "d", "e"].map((local) => `${local}@stream.test`)
+  const written = []
+  const writer = {
+    write: async (results) => {
+      written.push(...results)
+      processor.stop()
+    },
+  }
+
+  const summary = await processor.processEmailStream(emails, writer)
+
+  assert.equal(summary.total, 2)
+  assert.equal(written.length, 2)
+  assert.equal(processor.interrupted, true)
+})
@@ -0,0 +1,93 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+import { EmailVerifier } from "../scripts/email-verifier.js"
+import { formatTranscript, writeTranscripts } from "../scripts/transcripts.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+let dns, smtp, verifier
+
+before(async () => {
+  dns = await startStubDns({
+    "audit.test": { MX: [[10, "127.0.0.1"]] },
+    // Nothing listens on 127.0.0.2
+    "backup.test": {
+      MX: [
+        [10, "127.0.0.2"],
+        [20, "127.0.0.1"],
+      ],
+    },
+  })
+  smtp = await startStubSmtp({ mailboxes: ["alice"] })
+  verifier = new EmailVerifier({
+    nameservers: [dns.nameserver],
+    smtpPort: smtp.port,
+    detectCatchAll: false,
+    timeout: 2000,
+    captureTranscript: true,
+  })
+})
+
+after(async () => {
+  await smtp.close()
+  await dns.close()
+})
+
+const linesOf = (session, direction) =>
+  session.entries.filter((entry) => entry.direction === direction).flatMap((entry) => entry.lines)
+
+test("the whole conversation is recorded with the server it was held with", async () => {
+  const result = await verifier.verifyEmail("nobody@audit.test")
+
+  assert.equal(result.status, "invalid")
+  assert.equal(result.transcript.length, 1)
+  const [session] = result.transcript
+  assert.equal(session.mxHost, "127.0.0.1")
+  assert.equal(session.remoteAddress, "127.0.0.1")
+  assert.equal(session.remotePort, smtp.port)
+  assert.ok(session.entries.every((entry) => !Number.isNaN(Date.parse(entry.time))))
+
+  const sent = linesOf(session, "sent")
+  assert.match(sent[0], /^EHLO /)
+  assert.ok(sent.includes("RCPT TO:<nobody@audit.test>"))
+  // Multiline replies are kept whole
+  assert.deepEqual(linesOf(session, "received").slice(0, 4), [
+    "220 stub.test ESMTP",
+    "250-stub.test",
+    "250-PIPELINING",
+    "250 SMTPUTF8",
+  ])
+  assert.ok(linesOf(session, "received").includes("550 5.1.1 User unknown"))
+})
+
+test("sessions with MX hosts that failed come before the one that answered", async () => {
+  const result = await verifier.verifyEmail("alice@backup.test")
+
+  assert.equal(result.status, "valid")
+  assert.deepEqual(
+    result.transcript.map((session) => session.mxHost),
+    ["127.0.0.2", "127.0.0.1"],
+  )
+  assert.equal(result.transcript[0].remoteAddress, null)
+  assert.ok(formatTranscript(result.transcript).includes("# 127.0.0.2 (not connected)"))
+})
+
+test("only failed addresses are written to the transcript file", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "transcripts-"))
+  try {
+    const results = await verifier.verifyMultiple(["alice@audit.test", "nobody@audit.test"], { delay: 1 })
+    const { file, count } = await writeTranscripts(results, path.join(dir, "results.json"))
+
+    assert.equal(file, path.join(dir, "results.transcripts.ndjson"))
+    assert.equal(count, 1)
+    const [record] = (await fs.readFile(file, "utf8")).trim().split("\n").map(JSON.parse)
+    assert.equal(record.email, "nobody@audit.test")
+    assert.equal(record.smtpResponse, "550 5.1.1 User unknown")
+    assert.equal(record.transcript.length, 1)
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,33 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { TypoSuggester } from "../scripts/typo-suggester.js"
+
+test("mistyped domains get a suggestion, known and unrelated domains do not", () => {
+  const suggester = new TypoSuggester()
+  const cases = [
+    ["gmial.com", "gmail.com"],
+    ["GMAIL.CON", "gmail.com"],
+    ["hotmial.com", "hotmail.com"],
+    ["yaho.com", "yahoo.com"],
+    ["example.con", "example.com"],
+    // Exact matches are left alone, in any case
+    ["gmail.com", null],
+    ["Outlook.com", null],
+    // A known TLD on an unknown name is fine
+    ["acme.com", null],
+    ["example.co.uk", null],
+    // Country codes are too close to each other to guess
+    ["example.cx", null],
+    ["", null],
+  ]
+  for (const [domain, suggestion] of cases) {
+    assert.equal(suggester.suggestDomain(domain), suggestion, domain)
+  }
+})
+
+test("whole addresses keep their local part", () => {
+  const suggester = new TypoSuggester({ popularDomains: ["Example.org"] })
+  assert.equal(suggester.suggest("alice", "gmial.com"), "alice@gmail.com")
+  assert.equal(suggester.suggest("alice", "exampel.org"), "alice@example.org")
+  assert.equal(suggester.suggest("alice", "gmail.com"), null)
+})
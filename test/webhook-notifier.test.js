@@ -0,0 +1,133 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import http from "http"
+import { PassThrough } from "stream"
+import { WebhookNotifier, signPayload, verifySignature } from "../scripts/webhook-notifier.js"
+import { BulkEmailProcessor } from "../scripts/bulk-email-processor.js"
+import { Logger } from "../scripts/logger.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+const SECRET = "test-secret"
+
+/**
+ * Webhook receiver answering each POST with the next status of `statuses` (the last one repeats)
+ */
+async function startReceiver(statuses) {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    let body = ""
+    req.on("data", (chunk) => (body += chunk))
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body })
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1]
+      res.end()
+    })
+  })
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  }
+}
+
+// Collects log lines instead of printing them
+function capturingLogger() {
+  const stream = new PassThrough()
+  const lines = []
+  stream.on("data", (chunk) => lines.push(...chunk.toString().trim().split("\n")))
+  return { logger: new Logger({ level: "warn", format: "json", stream }), lines }
+}
+
+test("events are signed with an HMAC of the timestamp and body", async () => {
+  const receiver = await startReceiver([204])
+  try {
+    const notifier = new WebhookNotifier({ url: receiver.url, secret: SECRET, jobId: "job-1" })
+    notifier.notify("job.started", { total: 3 })
+    await notifier.flush()
+
+    const [{ headers, body }] = receiver.requests
+    const payload = JSON.parse(body)
+    assert.equal(payload.event, "job.started")
+    assert.equal(payload.jobId, "job-1")
+    assert.deepEqual(payload.data, { total: 3 })
+
+    const timestamp = headers["x-webhook-timestamp"]
+    assert.equal(headers["x-webhook-signature"], `sha256=${signPayload(SECRET, timestamp, body)}`)
+    assert.equal(verifySignature(body, headers, SECRET), true)
+    assert.equal(verifySignature(`${body} `, headers, SECRET), false)
+    assert.equal(verifySignature(body, headers, "other-secret"), false)
+  } finally {
+    await receiver.close()
+  }
+})
+
+test("a 5xx is retried and a 4xx is not", async () => {
+  const receiver = await startReceiver([503, 500, 200])
+  try {
+    const { logger } = capturingLogger()
+    const notifier = new WebhookNotifier({ url: receiver.url, backoff: 5, logger })
+    assert.equal(await notifier.notify("job.completed", {}), true)
+    assert.equal(receiver.requests.length, 3)
+    // Every attempt carries the same event
+    assert.equal(new Set(receiver.requests.map(({ body }) => JSON.parse(body).id)).size, 1)
+  } finally {
+    await receiver.close()
+  }
+
+  const rejecting = await startReceiver([400])
+  try {
+    const { logger } = capturingLogger()
+    const notifier = new WebhookNotifier({ url: rejecting.url, backoff: 5, logger })
+    assert.equal(await notifier.notify("job.completed", {}), false)
+    assert.equal(rejecting.requests.length, 1)
+  } finally {
+    await rejecting.close()
+  }
+})
+
+let dns, smtp
+
+before(async () => {
+  dns = await startStubDns({ "hooked.test": { MX: [[10, "127.0.0.1"]] } })
+  smtp = await startStubSmtp({ mailboxes: ["alice"] })
+})
+
+after(async () => {
+  await smtp.close()
+  await dns.close()
+})
+
+test("a receiver that never recovers does not fail the job", async () => {
+  const receiver = await startReceiver([500])
+  try {
+    const { logger, lines } = capturingLogger()
+    const processor = new BulkEmailProcessor({
+      nameservers: [dns.nameserver],
+      smtpPort: smtp.port,
+      detectCatchAll: false,
+      timeout: 2000,
+      delay: 1,
+      webhookUrl: receiver.url,
+      webhookSecret: SECRET,
+      logger,
+    })
+    Object.assign(processor.webhook.options, { retries: 2, backoff: 5 })
+
+    const results = await processor.processBulkEmails(["alice@hooked.test", "bob@hooked.test"])
+
+    assert.deepEqual(
+      results.map((result) => result.status),
+      ["valid", "invalid"],
+    )
+    // Every event was given up on after three attempts
+    const events = receiver.requests.map(({ body }) => JSON.parse(body).event)
+    assert.equal(events[0], "job.started")
+    assert.equal(events.at(-1), "job.completed")
+    assert.equal(events.length, processor.webhook.failed * 3)
+    assert.ok(lines.map(JSON.parse).some((entry) => entry.level === "error" && /Webhook job.completed/.test(entry.msg)))
+  } finally {
+    await receiver.close()
+  }
+})
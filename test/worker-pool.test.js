@@ -0,0 +1,77 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { BulkEmailProcessor } from "../scripts/bulk-email-processor.js"
+import { startStubSmtp } from "./helpers/stub-smtp.js"
+import { startStubDns } from "./helpers/stub-dns.js"
+
+let dns
+
+before(async () => {
+  dns = await startStubDns({
+    "accept-all.test": { MX: [[10, "127.0.0.1"]] },
+    "strict.test": { MX: [[10, "127.0.0.1"]] },
+    "other.test": { MX: [[10, "127.0.0.1"]] },
+  })
+})
+
+after(() => dns.close())
+
+// Probe addresses are random local parts, so they are the recipients outside the list
+const probesOf = (smtp, domain, emails) =>
+  smtp.connections
+    .flat()
+    .map((command) => /^RCPT TO:<([^>]*)>/.exec(command)?.[1])
+    .filter((recipient) => recipient?.endsWith(`@${domain}`) && !emails.includes(recipient)).length
+
+test("workers verify in sessions and report results in order", async () => {
+  const smtp = await startStubSmtp({ mailboxes: ["alice", "bob"] })
+  const processor = new BulkEmailProcessor({
+    workers: 2,
+    nameservers: [dns.nameserver],
+    smtpPort: smtp.port,
+    detectCatchAll: false,
+    timeout: 2000,
+  })
+  try {
+    const emails = ["alice@strict.test", "nobody@strict.test", "bob@strict.test"]
+    const results = await processor.processBatch(emails)
+
+    assert.deepEqual(
+      results.map((result) => [result.email, result.status]),
+      [
+        ["alice@strict.test", "valid"],
+        ["nobody@strict.test", "invalid"],
+        ["bob@strict.test", "valid"],
+      ],
+    )
+  } finally {
+    await processor.close()
+    await smtp.close()
+  }
+})
+
+test("a catch-all verdict found by one worker is used by the others", async () => {
+  const smtp = await startStubSmtp({ catchAll: true })
+  // One task per worker at a time, two addresses per task
+  const processor = new BulkEmailProcessor({
+    workers: 2,
+    concurrency: 1,
+    recipientsPerSession: 2,
+    maxRequestsPerDomain: 100,
+    nameservers: [dns.nameserver],
+    smtpPort: smtp.port,
+    timeout: 2000,
+  })
+  try {
+    const first = ["a@accept-all.test", "b@accept-all.test"]
+    // The other.test task goes to the first worker, the accept-all.test task to the second
+    const second = ["x@other.test", "y@other.test", "c@accept-all.test", "d@accept-all.test"]
+    const results = [...(await processor.processBatch(first)), ...(await processor.processBatch(second))]
+
+    assert.ok(results.every((result) => result.status === "catch_all"))
+    assert.equal(probesOf(smtp, "accept-all.test", [...first, ...second]), 1)
+  } finally {
+    await processor.close()
+    await smtp.close()
+  }
+})